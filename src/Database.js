@@ -10,8 +10,92 @@
  * LICENSE.txt file in the root directory of this source tree.
  */
 
+import sqlite3 from 'sqlite3';
 import Statement from './Statement';
-import { prepareParams, asyncRunner } from './utils';
+import RowIterator from './RowIterator';
+import StatementCache from './StatementCache';
+import { TransactionError, wrapError, redact } from './errors';
+import { Sql, sql as sqlTemplate } from './sql';
+import { tokenize } from './tokenizer';
+import {
+  queryText,
+  prepareParams,
+  isGeneratorFunction,
+  asyncRunner,
+  elapsed,
+} from './utils';
+
+// Maximum number of parameters in one query (SQLITE_MAX_VARIABLE_NUMBER),
+// which was raised from its default of 999 in SQLite 3.32.0
+const maxVariables = sqlite3.VERSION_NUMBER >= 3032000 ? 32766 : 999;
+
+// Cached statements last run with parameters bound
+const boundStatements = new WeakSet();
+
+/**
+ * Returns true if parameters were given to bind, as separate arguments,
+ * an array, an object of named parameters or a single value.
+ */
+function hasParams (params) {
+  if (Array.isArray(params)) {
+    return params.length > 0;
+  }
+  if (params !== null && typeof params === 'object' &&
+      Object.getPrototypeOf(params) === Object.prototype) {
+    return Object.keys(params).length > 0;
+  }
+  return params !== undefined;
+}
+
+/**
+ * Returns the column names shared by all given rows.
+ */
+function rowColumns (rows) {
+  if (!Array.isArray(rows)) {
+    throw new TypeError('Rows must be given as an array of objects');
+  }
+  if (!rows.length) {
+    return [];
+  }
+  const columns = Object.keys(rows[0]);
+  if (!columns.length) {
+    throw new Error('Rows must have at least one column');
+  }
+  rows.forEach((row, i) => {
+    const keys = Object.keys(row);
+    if (keys.length !== columns.length || keys.some(key => columns.indexOf(key) === -1)) {
+      throw new Error(`Row ${i} does not have the same columns as the first row`);
+    }
+  });
+  return columns;
+}
+
+/**
+ * Returns the quoted text for a table or column name, or the text of an Sql fragment.
+ */
+function identifier (name) {
+  return name instanceof Sql ? name.text : sqlTemplate.id(name).text;
+}
+
+/**
+ * Returns the PRAGMA query listing the columns of a table given as a name, or as
+ * an Sql fragment naming a table and optionally its schema, or null for any other
+ * fragment.
+ */
+function tableInfoQuery (table) {
+  if (!(table instanceof Sql)) {
+    return `PRAGMA table_info(${identifier(table)})`;
+  }
+  const parts = tokenize(table.text).filter(x => x.type !== 'space');
+  const isName = x => x.type === 'word' || x.type === 'quoted';
+  if (parts.length === 1 && isName(parts[0])) {
+    return `PRAGMA table_info(${parts[0].text})`;
+  }
+  if (parts.length === 3 && isName(parts[0]) && parts[1].text === '.' && isName(parts[2])) {
+    return `PRAGMA ${parts[0].text}.table_info(${parts[2].text})`;
+  }
+  return null;
+}
 
 class Database {
 
@@ -20,30 +104,103 @@ class Database {
    * @param driver An instance of SQLite3 driver library.
    * @param promiseLibrary ES6 Promise library to use.
      */
-  constructor (driver, { Promise, trxImmediate, trxParent = null }) {
+  constructor (driver, {
+    Promise,
+    trxImmediate,
+    trxParent = null,
+    trxDepth = 0,
+    cacheSize = 0,
+    cacheTotals,
+    stmtCache = null,
+    openStatements = null,
+    redactParams = false,
+    id = null,
+    events = null,
+    slowQueryThreshold = null,
+    metrics = null,
+    cancelCheck = null,
+  }) {
     this.driver = driver;
     this.Promise = Promise;
     this._async = asyncRunner(Promise);
     this._immediate = trxImmediate;
     this._parent = trxParent;
+    this._depth = trxDepth;
     this._trx = null;
+    this._redact = redactParams;
+    this._id = id;
+    this._events = events;
+    this._slow = slowQueryThreshold;
+    this._metrics = metrics;
+    this._cancel_check = cancelCheck;
+
+    // Transactions are given their connection's statement cache
+    if (stmtCache === null && cacheSize > 0) {
+      this._cache = new StatementCache(Promise, sql => this._prepare(sql), cacheSize, cacheTotals);
+    }
+    else {
+      this._cache = stmtCache;
+    }
+
+    // As are its statements not yet finalized
+    this._statements = openStatements === null ? new Set() : openStatements;
+
+    // Options shared with transactions
+    this._config = {
+      Promise,
+      trxImmediate,
+      stmtCache: this._cache,
+      openStatements: this._statements,
+      redactParams,
+      id,
+      events,
+      slowQueryThreshold,
+      metrics,
+      cancelCheck,
+    };
+  }
+
+  get statementCache () {
+    return this._cache;
+  }
+
+  get id () {
+    return this._id;
+  }
+
+  get activeTransaction () {
+    return this._trx;
   }
 
   run (sql, ...args) {
     this._trxCheck();
+    const params = prepareParams(args, false, sql);
+    const text = queryText(sql);
+    return this._observe('run', text, params, () => this._run(text, params));
+  }
+
+  _run (sql, params) {
     const Promise = this.Promise;
-    const params = prepareParams(args);
 
+    if (this._cache !== null) {
+      // Cached statement is reused, so copy results to return
+      return this._cached(sql, params, stmt => stmt.run(params))
+        .then(({ lastID, changes }) => new Statement(
+          { sql, lastID, changes }, Promise, this._redact
+        ));
+    }
+
+    const redactParams = this._redact;
     return new Promise((resolve, reject) => {
       this.driver.run(sql, params, function runExecResult (err) {
         if (err) {
-          reject(err);
+          reject(wrapError(err, sql, params, redactParams));
         }
         else {
           // Per https://github.com/mapbox/node-sqlite3/wiki/API#databaserunsql-param--callback
           // when run() succeeds, the `this' object is a driver statement object. Wrap it as a
           // Statement.
-          resolve(new Statement(this, Promise));
+          resolve(new Statement(this, Promise, redactParams));
         }
       });
     });
@@ -51,12 +208,25 @@ class Database {
 
   get (sql, ...args) {
     this._trxCheck();
-    const params = prepareParams(args);
+    const params = prepareParams(args, false, sql);
+    const text = queryText(sql);
+    return this._observe('get', text, params, () => this._get(text, params));
+  }
+
+  _get (sql, params) {
+    if (this._cache !== null) {
+      return this._cached(sql, params, (stmt) => {
+        const row = stmt.get(params);
+        // Don't leave the statement (and its read lock) open
+        stmt.reset();
+        return row;
+      });
+    }
 
     return new this.Promise((resolve, reject) => {
       this.driver.get(sql, params, (err, row) => {
         if (err) {
-          reject(err);
+          reject(this._error(err, sql, params));
         }
         else {
           resolve(row);
@@ -67,12 +237,20 @@ class Database {
 
   all (sql, ...args) {
     this._trxCheck();
-    const params = prepareParams(args);
+    const params = prepareParams(args, false, sql);
+    const text = queryText(sql);
+    return this._observe('all', text, params, () => this._all(text, params));
+  }
+
+  _all (sql, params) {
+    if (this._cache !== null) {
+      return this._cached(sql, params, stmt => stmt.all(params));
+    }
 
     return new this.Promise((resolve, reject) => {
       this.driver.all(sql, params, (err, rows) => {
         if (err) {
-          reject(err);
+          reject(this._error(err, sql, params));
         }
         else {
           resolve(rows);
@@ -86,11 +264,18 @@ class Database {
    */
   exec (sql) {
     this._trxCheck();
+    if (sql instanceof Sql && sql.values.length) {
+      throw new Error('Parameters cannot be bound to queries run with exec()');
+    }
+    const text = queryText(sql);
+    return this._observe('exec', text, undefined, () => this._exec(text));
+  }
 
+  _exec (sql) {
     return new this.Promise((resolve, reject) => {
       this.driver.exec(sql, (err) => {
         if (err) {
-          reject(err);
+          reject(this._error(err, sql));
         }
         else {
           resolve(this);
@@ -101,7 +286,24 @@ class Database {
 
   each (sql, ...args) {
     this._trxCheck();
-    const [params, callback] = prepareParams(args, true);
+    const [params, callback] = prepareParams(args, true, sql);
+    const text = queryText(sql);
+    return this._observe('each', text, params, () => this._each(text, params, callback));
+  }
+
+  _each (sql, params, rowCallback) {
+    // Rows are delivered without yielding to timers or abort events, so
+    // check for cancellation as each one arrives, and stop passing them on
+    const check = this._cancel_check;
+    const callback = check === null ? rowCallback : (row) => {
+      if (!check()) {
+        rowCallback(row);
+      }
+    };
+
+    if (this._cache !== null) {
+      return this._cached(sql, params, stmt => stmt.each(params, callback));
+    }
 
     return new this.Promise((resolve, reject) => {
       let error = null;
@@ -120,7 +322,7 @@ class Database {
 
       const done = (err, rowsCount = 0) => {
         if (err) {
-          reject(err);
+          reject(this._error(err, sql, params));
         }
         else if (error) {
           reject(error);
@@ -134,29 +336,55 @@ class Database {
     });
   }
 
+  iterate (sql, ...args) {
+    this._trxCheck();
+
+    return new RowIterator(this.Promise, {
+      open: () => this.prepare(sql, ...args),
+      close: stmt => (stmt !== null ? stmt.finalize() : undefined),
+    });
+  }
+
   prepare (sql, ...args) {
     this._trxCheck();
-    const params = prepareParams(args);
+    return this._prepare(queryText(sql), prepareParams(args, false, sql));
+  }
 
+  _prepare (sql, params = []) {
     return new this.Promise((resolve, reject) => {
       const stmt = this.driver.prepare(sql, params, (err) => {
         if (err) {
-          reject(err);
+          reject(this._error(err, sql, params));
         }
         else {
-          resolve(new Statement(stmt, this.Promise));
+          resolve(new Statement(stmt, this.Promise, this._redact, this._statements));
         }
       });
     });
   }
 
+  /**
+   * Finalizes all statements prepared on the connection which are still open,
+   * including cached ones, so that it can be closed.
+   */
+  finalizeStatements () {
+    return this._async(function* _finalizeStatementsAsync () {
+      if (this._cache !== null) {
+        yield this._cache.clear();
+      }
+      yield this.Promise.all(Array.from(this._statements).map(
+        stmt => stmt.finalize().catch(() => {})
+      ));
+    });
+  }
+
   wait () {
     this._trxCheck();
 
     return new this.Promise((resolve, reject) => {
       this.driver.wait((err) => {
         if (err) {
-          reject(err);
+          reject(this._error(err));
         }
         else {
           resolve();
@@ -165,36 +393,263 @@ class Database {
     });
   }
 
+  /**
+   * Inserts rows into a table in batches within a transaction, resolving with
+   * the rowids of the inserted rows and the number of changes.
+   */
+  insertMany (table, rows, { chunkSize } = {}) {
+    return this._insertRows(table, rows, chunkSize, '', true);
+  }
+
+  /**
+   * Inserts rows into a table in batches within a transaction, updating the
+   * given columns of rows which conflict with existing ones, and resolving
+   * with the number of changes.
+   */
+  upsert (table, rows, { conflictTarget, update, chunkSize } = {}) {
+    const target = [].concat(conflictTarget === undefined ? [] : conflictTarget);
+    if (!target.length) {
+      throw new Error('Upsert requires a conflictTarget column or columns');
+    }
+    const columns = rowColumns(rows);
+    const updates = update !== undefined
+                  ? [].concat(update)
+                  : columns.filter(column => target.indexOf(column) === -1);
+    const action = updates.length
+                 ? `DO UPDATE SET ${updates.map(
+                     column => `${identifier(column)} = excluded.${identifier(column)}`
+                   ).join(', ')}`
+                 : 'DO NOTHING';
+    const clause = ` ON CONFLICT (${target.map(identifier).join(', ')}) ${action}`;
+
+    return this._insertRows(table, rows, chunkSize, clause)
+      .then(({ changes }) => ({ changes }));
+  }
+
+  _insertRows (table, rows, chunkSize, clause, withRowids = false) {
+    this._trxCheck();
+    const columns = rowColumns(rows);
+    if (!rows.length) {
+      return this.Promise.resolve({ rowids: [], changes: 0 });
+    }
+
+    // Batch as many rows per query as the parameter limit allows
+    const size = Math.max(1, Math.min(
+      chunkSize || Infinity, Math.floor(maxVariables / columns.length)
+    ));
+    const values = `(${columns.map(() => '?').join(', ')})`;
+    const query = count => (
+      `INSERT INTO ${identifier(table)} (${columns.map(identifier).join(', ')}) ` +
+      `VALUES ${new Array(count).fill(values).join(', ')}${clause}`
+    );
+
+    return this.transactionAsync(function* _insertRowsAsync (trx) {
+      // Rows inserted by one query are given consecutive rowids ending with
+      // the last one, unless they set their own, so those are inserted one at
+      // a time (and tables without rowids have none to return)
+      const setsRowid = withRowids ? yield this._setsRowid(table, columns) : false;
+      const batch = setsRowid ? 1 : size;
+      const result = { rowids: withRowids && setsRowid !== null ? [] : null, changes: 0 };
+      let stmt = null;
+      try {
+        for (let start = 0; start < rows.length; start += batch) {
+          const chunk = rows.slice(start, start + batch);
+
+          // Prepare once for full chunks, and again for a shorter last chunk
+          if (stmt === null || chunk.length < batch) {
+            if (stmt !== null) {
+              yield stmt.finalize();
+              stmt = null;
+            }
+            stmt = yield trx.prepare(query(chunk.length));
+          }
+          yield stmt.run([].concat(...chunk.map(row => columns.map(column => row[column]))));
+
+          for (let i = stmt.changes - 1; result.rowids !== null && i >= 0; i -= 1) {
+            result.rowids.push(stmt.lastID - i);
+          }
+          result.changes += stmt.changes;
+        }
+      }
+      finally {
+        if (stmt !== null) {
+          yield stmt.finalize();
+        }
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Resolves with null if the table has no rowids (being WITHOUT ROWID), or
+   * otherwise whether the given columns set them explicitly, as the rowid or
+   * its INTEGER PRIMARY KEY alias (or true if that can't be told).
+   */
+  _setsRowid (table, columns) {
+    return this._async(function* _setsRowidAsync () {
+      try {
+        const stmt = yield this._prepare(`SELECT rowid FROM ${identifier(table)} LIMIT 0`);
+        yield stmt.finalize();
+      }
+      catch (err) {
+        return null;
+      }
+
+      const query = tableInfoQuery(table);
+      if (query === null) {
+        return true;
+      }
+      const info = yield this._all(query, []);
+      const names = info.map(x => x.name.toLowerCase());
+      const primaryKey = info.filter(x => x.pk > 0);
+      const aliases = ['rowid', 'oid', '_rowid_'].filter(x => names.indexOf(x) === -1);
+      if (primaryKey.length === 1 && primaryKey[0].type.toUpperCase() === 'INTEGER') {
+        aliases.push(primaryKey[0].name.toLowerCase());
+      }
+      return columns.some(column => aliases.indexOf(column.toLowerCase()) !== -1);
+    });
+  }
+
   transaction (fn, immediate = this._immediate) {
-    return this._trxWrap(fn, immediate);
+    return this._trxWrap(fn, immediate, isGeneratorFunction(fn));
   }
 
   transactionAsync (gen, immediate = this._immediate) {
     return this._trxWrap(gen, immediate, true);
   }
 
-  _trxCheck (parent = false) {
+  _cached (sql, params, fn) {
+    return this._cache.get(sql).then((stmt) => {
+      // Running without parameters keeps those bound by the previous use,
+      // so clear them (binding any parameter clears all the others)
+      if (hasParams(params)) {
+        boundStatements.add(stmt);
+      }
+      else if (boundStatements.has(stmt)) {
+        boundStatements.delete(stmt);
+        stmt.stmt.bind([null], () => {});
+      }
+
+      // Statement operations are queued in order, so resetting and running
+      // together keeps other callers from interleaving with this one
+      stmt.reset();
+      return fn(stmt);
+    });
+  }
+
+  _observe (method, sql, params, fn) {
+    const events = this._events;
+    const slow = this._slow;
+
+    // Skip timing unless anyone is listening
+    if (events === null || (slow === null &&
+        events.listenerCount('query') === 0 &&
+        events.listenerCount('queryEnd') === 0)) {
+      return fn();
+    }
+
+    const info = {
+      method,
+      sql,
+      params: redact(params, sql, this._redact),
+      connectionId: this._id,
+      inTransaction: this._parent !== null,
+    };
+    events.emit('query', info);
+
+    const start = process.hrtime();
+    const end = (error, rowCount) => {
+      const result = Object.assign({}, info, {
+        duration: elapsed(start),
+        rowCount,
+        error,
+      });
+      events.emit('queryEnd', result);
+
+      if (slow === null || result.duration < slow) {
+        return this.Promise.resolve();
+      }
+
+      // Explain slow queries (other than multi-statement exec()) before
+      // settling, while the connection is still held by the caller
+      if (method === 'exec') {
+        events.emit('slowQuery', Object.assign(result, { plan: null }));
+        return this.Promise.resolve();
+      }
+      return new this.Promise((resolve) => {
+        this.driver.all(`EXPLAIN QUERY PLAN ${sql}`, params, (err, plan) => {
+          events.emit('slowQuery', Object.assign(result, { plan: err ? null : plan }));
+          resolve();
+        });
+      });
+    };
+
+    return fn().then((value) => {
+      const rowCount = method === 'run' ? value.changes
+                     : method === 'get' ? (value !== undefined ? 1 : 0)
+                     : method === 'all' ? value.length
+                     : method === 'each' ? value
+                     : undefined;
+      return end(null, rowCount).then(() => value);
+    }, err => end(err, undefined).then(() => {
+      throw err;
+    }));
+  }
+
+  _count (outcome) {
+    // Only count top-level transactions, not savepoints
+    if (this._metrics !== null && this._parent === null) {
+      this._metrics[outcome]();
+    }
+  }
+
+  _error (err, sql, params) {
+    return wrapError(err, sql, params, this._redact);
+  }
+
+  _trxCheck () {
     if (this._trx !== null) {
-      throw new Error('A transaction is currently active for this connection');
+      throw new TransactionError('A transaction is currently active for this connection');
     }
-    else if (parent && this._parent !== null) {
-      throw new Error('Managed savepoints are not supported at this time');
+  }
+
+  _trxStatements (immediate) {
+    // Top-level transactions use BEGIN/COMMIT/ROLLBACK
+    if (this._parent === null) {
+      return {
+        begin: immediate === 'exclusive' ? 'BEGIN EXCLUSIVE'
+             : immediate ? 'BEGIN IMMEDIATE'
+             : 'BEGIN',
+        commit: 'COMMIT',
+        rollback: 'ROLLBACK',
+      };
     }
+
+    // Nested transactions use a savepoint named for their depth, which
+    // is unique along the chain since only one child may be active at a time
+    const savepoint = `"trx_savepoint_${this._depth}"`;
+    return {
+      begin: `SAVEPOINT ${savepoint}`,
+      commit: `RELEASE ${savepoint}`,
+      // Rolling back to a savepoint leaves it on the stack, so release it too
+      rollback: `ROLLBACK TO ${savepoint}; RELEASE ${savepoint}`,
+    };
   }
 
   _trxWrap (fn, immediate, isAsync = false) {
-    this._trxCheck(true);
+    this._trxCheck();
 
     return this._async(function* _trxWrapAsync () {
+      const { begin, commit, rollback } = this._trxStatements(immediate);
+
       // Create child Database object for transaction
-      const trx = new Database(this.driver, {
-        Promise: this.Promise,
-        trxImmediate: this._immediate,
+      const trx = new Database(this.driver, Object.assign({}, this._config, {
         trxParent: this,
-      });
+        trxDepth: this._depth + 1,
+      }));
 
-      // Begin transaction
-      yield immediate ? trx.exec('BEGIN IMMEDIATE') : trx.exec('BEGIN');
+      // Begin transaction or savepoint
+      yield trx.exec(begin);
       this._trx = trx;
 
       let result;
@@ -202,12 +657,22 @@ class Database {
         // Pass connection to function
         result = yield isAsync ? this._async(fn, trx) : fn.call(this, trx);
 
-        // Commit
-        yield trx.exec('COMMIT');
+        // Commit or release savepoint
+        yield trx.exec(commit);
+        this._count('committed');
       }
       catch (err) {
-        // Roll back, release connection, and re-throw
-        yield trx.exec('ROLLBACK');
+        // Roll back, release connection, and re-throw (SQLite rolls back
+        // an interrupted transaction itself, so the rollback may fail)
+        try {
+          yield trx.exec(rollback);
+        }
+        catch (rollbackErr) {
+          if (err.errno !== sqlite3.INTERRUPT) {
+            throw rollbackErr;
+          }
+        }
+        this._count('rolledBack');
         throw err;
       }
       finally {
@@ -0,0 +1,124 @@
+/**
+ * Pooled SQLite client library for Node.js
+ * Based on the node-sqlite library
+ *
+ * Copyright © 2017 Raymond Neilson. All rights reserved.
+ *
+ * Original work copyright © 2016 Kriasoft, LLC. All rights reserved.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+import fs from 'fs';
+
+class Maintenance {
+
+  /**
+   * Initializes a scheduler for maintenance tasks.
+   * @param Promise ES6 Promise library to use.
+   * @param options Intervals and other settings from the `maintenance` option.
+   * @param walFile Path of the WAL file to watch, or null if there is none.
+   * @param isBusy Function returning true while callers are waiting for connections.
+   * @param tasks Functions running each task, returning a Promise (the checkpoint
+   *   task is given a mode when it must override the configured one).
+   */
+  constructor (Promise, options, { walFile, isBusy, tasks }) {
+    const {
+      checkpointInterval,
+      checkpointWalSize,
+      optimizeInterval,
+      vacuumInterval,
+      pollInterval,
+    } = options;
+
+    this.Promise = Promise;
+    this._wal_file = checkpointWalSize ? walFile : null;
+    this._wal_size = checkpointWalSize;
+    this._checkpointed_size = 0;
+    this._is_busy = isBusy;
+    this._poll = pollInterval;
+    this._timer = null;
+    this._running = null;
+
+    // Tasks in order of priority, each due once its interval has passed
+    const now = Date.now();
+    this._tasks = [
+      { name: 'checkpoint', run: tasks.checkpoint, interval: checkpointInterval },
+      { name: 'optimize', run: tasks.optimize, interval: optimizeInterval },
+      { name: 'incrementalVacuum', run: tasks.incrementalVacuum, interval: vacuumInterval },
+    ].filter(task => task.interval || (task.name === 'checkpoint' && this._wal_file !== null))
+     .map(task => Object.assign(task, { due: task.interval ? now + task.interval : null }));
+    this._checkpoint = this._tasks.find(task => task.name === 'checkpoint');
+  }
+
+  start () {
+    if (this._tasks.length && this._timer === null) {
+      this._timer = setInterval(() => this._tick(), this._poll);
+      // Don't keep the process alive just for maintenance
+      this._timer.unref();
+    }
+  }
+
+  /**
+   * Stops scheduling tasks, returning a Promise which resolves once any running task has finished.
+   */
+  stop () {
+    clearInterval(this._timer);
+    this._timer = null;
+    return this._running !== null ? this._running : this.Promise.resolve();
+  }
+
+  _tick () {
+    // Run one task at a time, and put tasks off while the pool is in demand
+    if (this._running !== null || this._is_busy()) {
+      return;
+    }
+
+    const now = Date.now();
+    const due = this._tasks.find(task => task.due !== null && task.due <= now);
+    if (due !== undefined) {
+      this._run(due);
+    }
+    else if (this._wal_file !== null) {
+      this._checkWal();
+    }
+  }
+
+  _checkWal () {
+    // Checkpoint when the WAL file grows past the threshold, truncating it
+    // so that it can grow past it again (if the checkpoint couldn't finish,
+    // only try again once the file grows further)
+    this._running = new this.Promise((resolve) => {
+      fs.stat(this._wal_file, (err, stats) => resolve(err ? 0 : stats.size));
+    }).then((size) => {
+      this._running = null;
+      if (size >= this._wal_size && size > this._checkpointed_size && this._timer !== null) {
+        this._run(this._checkpoint, 'TRUNCATE');
+      }
+    });
+  }
+
+  _run (task, ...args) {
+    // Failures are reported by the task's event, so carry on regardless
+    this._running = task.run(...args).catch(() => {}).then(() => {
+      if (task.interval) {
+        Object.assign(task, { due: Date.now() + task.interval });
+      }
+      if (task.name === 'checkpoint' && this._wal_file !== null) {
+        return new this.Promise((resolve) => {
+          fs.stat(this._wal_file, (err, stats) => {
+            this._checkpointed_size = err ? 0 : stats.size;
+            resolve();
+          });
+        });
+      }
+      return undefined;
+    }).then(() => {
+      this._running = null;
+    });
+  }
+
+}
+
+export default Maintenance;
@@ -0,0 +1,131 @@
+/**
+ * Pooled SQLite client library for Node.js
+ * Based on the node-sqlite library
+ *
+ * Copyright © 2017 Raymond Neilson. All rights reserved.
+ *
+ * Original work copyright © 2016 Kriasoft, LLC. All rights reserved.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+// Upper bounds of acquire wait time histogram buckets, in milliseconds
+const waitBuckets = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+class Metrics {
+
+  constructor () {
+    this.acquires = 0;
+    this.acquireTimeouts = 0;
+    this.waitCounts = waitBuckets.map(() => 0);
+    this.waitSum = 0;
+    this.commits = 0;
+    this.rollbacks = 0;
+    this.errors = {};
+  }
+
+  acquired (waitTime) {
+    this.acquires += 1;
+    this.waitSum += waitTime;
+    waitBuckets.forEach((bound, i) => {
+      if (waitTime <= bound) {
+        this.waitCounts[i] += 1;
+      }
+    });
+  }
+
+  timedOut () {
+    this.acquireTimeouts += 1;
+  }
+
+  committed () {
+    this.commits += 1;
+  }
+
+  rolledBack () {
+    this.rollbacks += 1;
+  }
+
+  error (code) {
+    this.errors[code] = (this.errors[code] || 0) + 1;
+  }
+
+  /**
+   * Returns a copy of the cumulative counts.
+   */
+  snapshot () {
+    return {
+      acquires: {
+        count: this.acquires,
+        timeouts: this.acquireTimeouts,
+        waitTime: {
+          buckets: waitBuckets.map((le, i) => ({ le, count: this.waitCounts[i] })),
+          sum: this.waitSum,
+          count: this.acquires,
+        },
+      },
+      transactions: {
+        committed: this.commits,
+        rolledBack: this.rollbacks,
+      },
+      errors: Object.assign({}, this.errors),
+    };
+  }
+
+  /**
+   * Renders the result of sqlite.stats() in Prometheus text exposition format.
+   */
+  static format (stats, prefix = 'sqlite_pool') {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${prefix}_${name} ${help}`);
+      lines.push(`# TYPE ${prefix}_${name} ${type}`);
+      samples.forEach(([suffix, labels, value]) => {
+        const labelText = labels.length
+                        ? `{${labels.map(([k, v]) => `${k}="${v}"`).join(',')}}`
+                        : '';
+        lines.push(`${prefix}_${name}${suffix}${labelText} ${value}`);
+      });
+    };
+
+    const { pool, acquires, transactions, errors, statementCache } = stats;
+    metric('connections', 'gauge', 'Number of pooled connections by state.', [
+      ['', [['state', 'available']], pool.available],
+      ['', [['state', 'borrowed']], pool.borrowed],
+    ]);
+    metric('connections_max', 'gauge', 'Maximum number of pooled connections.', [
+      ['', [], pool.max],
+    ]);
+    metric('pending_acquires', 'gauge', 'Number of callers waiting to acquire a connection.', [
+      ['', [], pool.pending],
+    ]);
+    metric('acquires_total', 'counter', 'Total number of connections acquired.', [
+      ['', [], acquires.count],
+    ]);
+    metric('acquire_timeouts_total', 'counter', 'Total number of timed out acquires.', [
+      ['', [], acquires.timeouts],
+    ]);
+    metric('acquire_wait_milliseconds', 'histogram', 'Time spent waiting to acquire a connection.', [
+      ...acquires.waitTime.buckets.map(({ le, count }) => ['_bucket', [['le', le]], count]),
+      ['_bucket', [['le', '+Inf']], acquires.waitTime.count],
+      ['_sum', [], acquires.waitTime.sum],
+      ['_count', [], acquires.waitTime.count],
+    ]);
+    metric('transactions_total', 'counter', 'Total number of transactions by outcome.', [
+      ['', [['outcome', 'committed']], transactions.committed],
+      ['', [['outcome', 'rolled_back']], transactions.rolledBack],
+    ]);
+    metric('errors_total', 'counter', 'Total number of errors by SQLite error code.',
+      Object.keys(errors).map(code => ['', [['code', code]], errors[code]]));
+    metric('statement_cache_total', 'counter', 'Total number of statement cache lookups by result.', [
+      ['', [['result', 'hit']], statementCache.hits],
+      ['', [['result', 'miss']], statementCache.misses],
+    ]);
+
+    return `${lines.join('\n')}\n`;
+  }
+
+}
+
+export default Metrics;
@@ -0,0 +1,133 @@
+/**
+ * Pooled SQLite client library for Node.js
+ * Based on the node-sqlite library
+ *
+ * Copyright © 2017 Raymond Neilson. All rights reserved.
+ *
+ * Original work copyright © 2016 Kriasoft, LLC. All rights reserved.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+import { Readable } from 'stream';
+import { asyncRunner } from './utils';
+
+class RowIterator {
+
+  /**
+   * Initializes a new row iterator, which steps through a query's results one row at a time.
+   * @param Promise ES6 Promise library to use.
+   * @param open Function returning a Promise for the Statement to step through.
+   * @param close Function given the Statement (or null) returning a Promise once cleaned up.
+   */
+  constructor (Promise, { open, close }) {
+    this.Promise = Promise;
+    this._async = asyncRunner(Promise);
+    this._open = open;
+    this._close = close;
+    this._stmt = null;
+    this._opened = false;
+    this._done = false;
+    this._queue = Promise.resolve();
+  }
+
+  next () {
+    return this._enqueue(function* _nextAsync () {
+      if (this._done) {
+        return { value: undefined, done: true };
+      }
+
+      let row;
+      try {
+        // Open statement on first call
+        if (!this._opened) {
+          this._opened = true;
+          this._stmt = yield this._open();
+        }
+
+        // Get next row, without rebinding
+        row = yield this._stmt.get();
+      }
+      catch (err) {
+        // Clean up, but report original error
+        yield this._finish().catch(() => {});
+        throw err;
+      }
+
+      if (row === undefined) {
+        yield this._finish();
+        return { value: undefined, done: true };
+      }
+      return { value: row, done: false };
+    });
+  }
+
+  return (value) {
+    return this._enqueue(function* _returnAsync () {
+      yield this._finish();
+      return { value, done: true };
+    });
+  }
+
+  throw (err) {
+    return this._enqueue(function* _throwAsync () {
+      yield this._finish();
+      throw err;
+    });
+  }
+
+  /**
+   * Returns a Readable stream in object mode, reading one row per call to next().
+   */
+  stream () {
+    const iterator = this;
+    return new Readable({
+      objectMode: true,
+
+      read () {
+        iterator.next().then(({ value, done }) => {
+          this.push(done ? null : value);
+        }, (err) => {
+          this.destroy(err);
+        });
+      },
+
+      destroy (err, callback) {
+        iterator.return().then(() => callback(err), callback);
+      },
+    });
+  }
+
+  _enqueue (gen) {
+    // Run one operation at a time, in call order
+    const result = this._queue.then(() => this._async(gen));
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  _finish () {
+    if (this._done) {
+      return this.Promise.resolve();
+    }
+    this._done = true;
+
+    // Only close if open was attempted
+    if (!this._opened) {
+      return this.Promise.resolve();
+    }
+    const stmt = this._stmt;
+    this._stmt = null;
+    return this.Promise.resolve(this._close(stmt));
+  }
+
+}
+
+// Allow use with for-await-of where supported
+if (typeof Symbol.asyncIterator === 'symbol') {
+  RowIterator.prototype[Symbol.asyncIterator] = function asyncIterator () {
+    return this;
+  };
+}
+
+export default RowIterator;
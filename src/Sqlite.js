@@ -10,14 +10,57 @@
  * LICENSE.txt file in the root directory of this source tree.
  */
 
-import fs from 'fs';
 import path from 'path';
 import EventEmitter from 'events';
 import sqlite3 from 'sqlite3';
 import genericPool from 'generic-pool';
 import Database from './Database';
 import Statement from './Statement';
-import { isThenable, asyncRunner } from './utils';
+import RowIterator from './RowIterator';
+import Metrics from './Metrics';
+import Maintenance from './Maintenance';
+import { Sql, sql as sqlTemplate } from './sql';
+import {
+  readMigrations,
+  isJsText,
+  checksum,
+  parseStatements,
+  locateError,
+  findDrifted,
+  planMigrations,
+} from './migrations';
+import {
+  SqliteError,
+  BusyError,
+  ConstraintError,
+  AcquireTimeoutError,
+  TransactionError,
+  QueryTimeoutError,
+  AbortError,
+  PoolClosedError,
+  wrapError,
+} from './errors';
+import {
+  queryOptions,
+  isThenable,
+  isGeneratorFunction,
+  asyncRunner,
+  formatPragma,
+  memoryDatabase,
+  retryPolicy,
+  retryDelay,
+  elapsed,
+} from './utils';
+
+// Error codes after which a connection is not returned to the pool
+const fatalErrors = [sqlite3.CORRUPT, sqlite3.IOERR, sqlite3.NOTADB];
+
+// Flags sqlite3 opens databases with by default
+// eslint-disable-next-line no-bitwise
+const defaultMode = sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE | sqlite3.OPEN_FULLMUTEX;
+
+// Modes of PRAGMA wal_checkpoint
+const checkpointModes = ['PASSIVE', 'FULL', 'RESTART', 'TRUNCATE'];
 
 // Default options
 const defaults = {
@@ -28,14 +71,42 @@ const defaults = {
   foreignKeys: true,
   walMode: true,
   loadExtensions: [],
+  pragmas: {},
+  onConnect: null,
+  stmtCacheSize: 0,
+  redactParams: false,
+  slowQueryThreshold: null,
 
   // pool defaults
   min: 1,
   max: 4,
   acquireTimeout: 1000,
+  singleWriter: false,
+  timeout: null,
+  maxUses: null,
+  maxLifetime: null,
+  idleTimeout: null,
+  attach: {},
+  maintenance: {
+    checkpointMode: 'PASSIVE',
+    checkpointInterval: null,
+    checkpointWalSize: null,
+    optimizeInterval: null,
+    vacuumInterval: null,
+    vacuumPages: null,
+    pollInterval: 1000,
+  },
 
   // internal defaults
   trxImmediate: true,
+  trxRetry: {
+    attempts: 1,
+    delay: 50,
+    maxDelay: 1000,
+    factor: 2,
+    jitter: 0.5,
+    timeout: null,
+  },
   delayRelease: true,
 
   // general defaults
@@ -54,11 +125,24 @@ class Sqlite extends EventEmitter {
       foreignKeys,
       walMode,
       loadExtensions,
+      pragmas,
+      onConnect,
+      stmtCacheSize,
+      redactParams,
+      slowQueryThreshold,
       min,
       max,
+      singleWriter,
       trxImmediate,
+      trxRetry,
       delayRelease,
       acquireTimeout,
+      timeout,
+      maxUses,
+      maxLifetime,
+      idleTimeout,
+      attach,
+      maintenance,
       Promise,
     } = Object.assign({}, defaults, options);
 
@@ -67,49 +151,157 @@ class Sqlite extends EventEmitter {
     this._sqlite_opts = { mode, verbose, busyTimeout, foreignKeys, walMode };
     this._sqlite_file = filename;
     this._sqlite_extn = loadExtensions;
+    this._pragmas = Object.keys(pragmas).map(name => formatPragma(name, pragmas[name]));
+    this._on_connect = onConnect;
+    this._cache_size = stmtCacheSize;
+    this._cache_totals = { hits: 0, misses: 0 };
+    this._redact = redactParams;
+    this._slow = slowQueryThreshold;
+    this._last_id = 0;
+    this._metrics = new Metrics();
     this._immediate = trxImmediate;
+    this._retry = retryPolicy(defaults.trxRetry, trxRetry);
+    this._timeout = timeout;
+    this._conn_state = new WeakMap();
+    this._attached = new Map();
+    this._attach_version = 1;
+    Object.keys(attach).forEach((alias) => {
+      this._attached.set(alias, this._attachment(alias, attach[alias]));
+    });
+    this._borrowed = new Map();
+    this._closed = false;
+    this._forced = false;
+    this._closing = null;
     this.delayRelease = delayRelease;
     this.Promise = Promise;
 
     // Async runner
     this._async = asyncRunner(Promise);
 
+    // URI filenames must be opened with the OPEN_URI flag
+    if (/^file:/.test(filename)) {
+      // eslint-disable-next-line no-bitwise
+      this._sqlite_opts.mode = (mode !== null ? mode : defaultMode) | sqlite3.OPEN_URI;
+    }
+
     // Special case min/max for anonymous or in-memory database
-    if (filename === '' || filename === ':memory:') {
+    // (and single-writer mode, which would require separate databases)
+    const memory = memoryDatabase(filename);
+    const anonymous = memory === 'private';
+    if (anonymous) {
       this._pool_opts.min = 1;
       this._pool_opts.max = 1;
     }
+    this._single_writer = singleWriter && !anonymous;
+
+    // Closing an anonymous database's only connection would lose its data,
+    // so it is only recycled if broken
+    this._anonymous = anonymous;
+    this._max_uses = anonymous ? null : maxUses;
+    this._max_lifetime = anonymous ? null : maxLifetime;
+
+    // Validate connections before lending them, and close idle ones
+    // above the minimum
+    this._pool_opts.testOnBorrow = true;
+    if (idleTimeout && !anonymous) {
+      Object.assign(this._pool_opts, {
+        softIdleTimeoutMillis: idleTimeout,
+        idleTimeoutMillis: Infinity,
+        evictionRunIntervalMillis: Math.min(idleTimeout, 1000),
+      });
+    }
+
+    // Schedule maintenance tasks, put off while callers wait for connections
+    const tasks = Object.assign({}, defaults.maintenance, maintenance);
+    this._maintenance = new Maintenance(Promise, tasks, {
+      walFile: walMode && memory === null ? `${filename}-wal` : null,
+      isBusy: () => this._pool.pending > 0 || this._read_pool.pending > 0,
+      tasks: {
+        checkpoint: (checkpointMode = tasks.checkpointMode) => this.checkpoint(checkpointMode),
+        optimize: () => this.optimize(),
+        incrementalVacuum: () => this.incrementalVacuum(tasks.vacuumPages),
+      },
+    });
+
+    if (this._single_writer) {
+      // Main pool holds the lone write connection, so acquiring it acts
+      // as a FIFO write queue, and reads are spread across a separate pool
+      this._pool = this._createPool(
+        Object.assign({}, this._pool_opts, { min: 1, max: 1 }),
+        false
+      );
+      this._read_pool = this._createPool(this._pool_opts, true);
+    }
+    else {
+      // Otherwise reads and writes share one pool
+      this._pool = this._createPool(this._pool_opts, false);
+      this._read_pool = this._pool;
+    }
+
+    // A shared in-memory database lasts only while a connection to it is
+    // open, so keep one open outside the pool (errors opening it are
+    // reported by the pool's own connections)
+    this._keeper = null;
+    if (memory === 'shared') {
+      this._keeper = new sqlite3.Database(filename, this._sqlite_opts.mode, () => {});
+    }
 
+    this._maintenance.start();
+  }
+
+  _createPool (poolOpts, readOnly) {
     // Factory functions for generic-pool
-    this._pool_factory = {
-      create: () => this._create(),
+    const factory = {
+      create: () => this._create(readOnly),
 
       destroy: connection => this._destroy(connection),
+
+      validate: connection => this.Promise.resolve(this._isUsable(connection)),
     };
 
     // Create pool
-    this._pool = genericPool.createPool(this._pool_factory, this._pool_opts);
+    const pool = genericPool.createPool(factory, poolOpts);
 
     // Re-emit pool errors
-    this._pool.on('factoryCreateError', err => this.emit('error', err));
-    this._pool.on('factoryDestroyError', err => this.emit('error', err));
+    pool.on('factoryCreateError', err => this.emit('error', err));
+    pool.on('factoryDestroyError', err => this.emit('error', err));
+
+    return pool;
   }
 
-  _create () {
+  _create (readOnly = false) {
     return this._async(function* _createAsync () {
       const Promise = this.Promise;
       const trxImmediate = this._immediate;
       const options = this._sqlite_opts;
       const filename = this._sqlite_file;
+      const cacheSize = this._cache_size;
+      const cacheTotals = this._cache_totals;
+      const redactParams = this._redact;
+      const slowQueryThreshold = this._slow;
+      this._last_id += 1;
+      const id = this._last_id;
 
       // Create database connection, wait until open complete
       const connection = yield new Promise((resolve, reject) => {
         let driver;
         const callback = (err) => {
           if (err) {
-            return reject(err);
+            return reject(wrapError(err));
           }
-          return resolve(new Database(driver, { Promise, trxImmediate }));
+          const db = new Database(driver, {
+            Promise,
+            trxImmediate,
+            cacheSize,
+            cacheTotals,
+            redactParams,
+            id,
+            events: this,
+            slowQueryThreshold,
+            metrics: this._metrics,
+            cancelCheck: () => this._checkCancelled(db),
+          });
+          return resolve(db);
         };
 
         if (options.mode !== null) {
@@ -138,6 +330,37 @@ class Sqlite extends EventEmitter {
         }
       });
 
+      // Track connection age, uses and failures for recycling,
+      // and the databases attached to it
+      this._conn_state.set(connection, {
+        created: Date.now(),
+        uses: 0,
+        failed: false,
+        readOnly,
+        attached: new Map(),
+        attachVersion: 0,
+        backups: new Set(),
+      });
+
+      // Configure connection, and close it if anything fails
+      try {
+        yield this._configure(connection, readOnly);
+      }
+      catch (err) {
+        yield this._destroy(connection).catch(() => {});
+        throw err;
+      }
+
+      // Return now-configured db connection
+      return connection;
+    });
+  }
+
+  _configure (connection, readOnly) {
+    return this._async(function* _configureAsync () {
+      const Promise = this.Promise;
+      const options = this._sqlite_opts;
+
       // Await each for consistency
       // Load extensions
       for (const extension of this._sqlite_extn) {
@@ -160,231 +383,1118 @@ class Sqlite extends EventEmitter {
         yield connection.exec('PRAGMA journal_mode = WAL;');
       }
 
-      // Return now-configured db connection
-      return connection;
+      // Set any other pragmas, in given order
+      for (const pragma of this._pragmas) {
+        yield connection.exec(pragma);
+      }
+
+      // Attach other databases
+      yield this._syncAttached(connection);
+
+      // Run user hook, before connection enters the pool
+      if (this._on_connect !== null) {
+        yield this._invoke(this._on_connect, connection, { readOnly });
+      }
+
+      // Reject writes on read-only connections
+      if (readOnly) {
+        yield connection.exec('PRAGMA query_only = ON;');
+      }
     });
   }
 
   _destroy (connection) {
-    return new this.Promise((resolve, reject) => {
-      connection.driver.close((err) => {
-        if (err) {
-          return reject(err);
-        }
-        return resolve();
+    return this._async(function* _destroyAsync () {
+      // Statements and backups must be finalized before closing (those
+      // still open when a forced close took back the connection included)
+      const backups = Array.from(this._conn_state.get(connection).backups);
+      yield this.Promise.all(backups.map(
+        backup => new this.Promise(resolve => backup.finish(() => resolve()))
+      ));
+      yield connection.finalizeStatements();
+
+      yield new this.Promise((resolve, reject) => {
+        connection.driver.close((err) => {
+          if (err) {
+            return reject(err);
+          }
+          return resolve();
+        });
       });
+    }).catch((err) => {
+      // Nothing is left to handle errors from connections taken back by a
+      // forced close, so don't let them escape as 'error' events
+      if (!this._forced) {
+        throw err;
+      }
     });
   }
 
-  _release (connection) {
+  _release (connection, pool = this._pool) {
+    // Connections taken back by a forced close are already destroyed
+    const borrowed = this._borrowed.get(connection);
+    if (borrowed === undefined) {
+      return undefined;
+    }
+    this._borrowed.delete(connection);
+
+    // Return healthy connections to the pool, and replace others
+    const release = () => this._checkHealth(connection, borrowed.probe).then(
+      healthy => (healthy ? pool.release(connection) : pool.destroy(connection))
+    ).catch(err => this.emit('error', err));
+
     if (this.delayRelease) {
-      return setImmediate(() => this._pool.release(connection));
+      return setImmediate(release);
+    }
+    return release();
+  }
+
+  _isUsable (connection) {
+    const state = this._conn_state.get(connection);
+    if (state.failed) {
+      return false;
+    }
+    if (this._anonymous) {
+      return true;
+    }
+    return connection.activeTransaction === null &&
+           (this._max_uses === null || state.uses < this._max_uses) &&
+           (this._max_lifetime === null || Date.now() - state.created < this._max_lifetime);
+  }
+
+  _checkHealth (connection, probe) {
+    return this._async(function* _checkHealthAsync () {
+      if (!this._isUsable(connection)) {
+        return false;
+      }
+      // Only probe connections which may have been left in a transaction, and
+      // not one still in progress, which can't be checked without disturbing it
+      if (!probe || connection.activeTransaction !== null) {
+        return true;
+      }
+
+      // Rolling back only succeeds if a transaction was left open (eg by a
+      // BEGIN without COMMIT), and otherwise fails if the connection is broken
+      const err = yield new this.Promise((resolve) => {
+        connection.driver.exec('ROLLBACK', resolve);
+      });
+      if (err === null) {
+        return this._anonymous;
+      }
+      return /no transaction is active/.test(err.message);
+    });
+  }
+
+  _unsettled (connection) {
+    // Mark a borrowed connection as possibly left in a transaction, so
+    // that it's probed with a ROLLBACK before being returned to the pool
+    const borrowed = this._borrowed.get(connection);
+    if (borrowed !== undefined) {
+      borrowed.probe = true;
+    }
+  }
+
+  _failed (connection, err) {
+    // Count errors from SQLite by code, and mark connections which
+    // can no longer be trusted
+    this._unsettled(connection);
+    if (err instanceof SqliteError) {
+      this._metrics.error(err.code);
+      if (fatalErrors.indexOf(err.errno) !== -1) {
+        this._conn_state.get(connection).failed = true;
+      }
+    }
+  }
+
+  _invoke (fn, ...args) {
+    // Run generator functions with the async runner
+    if (isGeneratorFunction(fn)) {
+      return this._async(fn, ...args);
+    }
+    return fn.call(this, ...args);
+  }
+
+  _acquire (pool = this._pool) {
+    if (this._closed) {
+      return this.Promise.reject(new PoolClosedError('The database has been closed'));
     }
-    return this._pool.release(connection);
+
+    const start = Date.now();
+    return pool.acquire().then((connection) => {
+      // Work still waiting for a connection once a forced close
+      // has given up on the work in progress is rejected too
+      if (this._forced) {
+        pool.release(connection);
+        throw new PoolClosedError('The database has been closed');
+      }
+
+      this._metrics.acquired(Date.now() - start);
+      this._conn_state.get(connection).uses += 1;
+      this._borrowed.set(connection, { pool, abandon: null, check: null, probe: false });
+
+      // Bring attached databases up to date before use
+      return this._syncAttached(connection).then(() => connection, (err) => {
+        this._release(connection, pool);
+        throw err;
+      });
+    }, (err) => {
+      // Replace generic-pool's timeout error
+      if (err.name === 'TimeoutError') {
+        this._metrics.timedOut();
+        throw new AcquireTimeoutError(
+          `Timed out acquiring connection after ${this._pool_opts.acquireTimeoutMillis}ms`
+        );
+      }
+      throw err;
+    });
   }
 
-  _acquireRelease (fn, isAsync = false) {
+  _acquireRelease (fn, isAsync = false, pool = this._pool, { timeout = null, signal = null } = {}) {
+    if (timeout || signal) {
+      return this._cancellable(fn, isAsync, pool, timeout, signal);
+    }
+
     return this._async(function* _acquireReleaseAsync () {
-      const connection = yield this._pool.acquire();
+      const connection = yield this._acquire(pool);
       let result;
       try {
         if (isAsync) {
           // Run fn as async (generator)
-          result = yield this._async(fn, connection);
+          result = yield this._abandonable(connection, this._async(fn, connection));
         }
         else {
           // Pass connection to function
-          result = yield fn.call(this, connection);
+          result = yield this._abandonable(connection, fn.call(this, connection));
         }
       }
+      catch (err) {
+        this._failed(connection, err);
+        throw err;
+      }
       finally {
-        this._release(connection);
+        this._release(connection, pool);
       }
       return result;
     });
   }
 
-  close () {
-    return this._async(function* _close() {
-      const to_close = [];
+  _cancellable (fn, isAsync, pool, timeout, signal) {
+    return new this.Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new AbortError('Query was aborted'));
+        return;
+      }
+
+      let connection = null;
+      let cancelled = null;
+      let timer = null;
+      let interrupter = null;
+
+      const cancel = (err) => {
+        if (cancelled !== null) {
+          return;
+        }
+        cancelled = err;
+        this._metrics.error(err.code);
+        // Stop any statement running on the connection, and keep doing so
+        // in case fn goes on to run more, but reject at once
+        if (connection !== null) {
+          connection.driver.interrupt();
+          interrupter = setInterval(() => connection.driver.interrupt(), 10);
+        }
+        reject(err);
+      };
+      const onAbort = () => cancel(new AbortError('Query was aborted'));
+      const onTimeout = () => cancel(new QueryTimeoutError(`Query timed out after ${timeout}ms`));
+      const deadline = timeout ? Date.now() + timeout : null;
+      const cleanup = () => {
+        clearTimeout(timer);
+        clearInterval(interrupter);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+
+      // The timeout includes time spent waiting for a connection
+      if (timeout) {
+        timer = setTimeout(onTimeout, timeout);
+      }
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+
+      this._acquire(pool).then((conn) => {
+        connection = conn;
+        if (cancelled !== null) {
+          this._release(connection, pool);
+          return;
+        }
+        // A forced close destroys the connection, so stop interrupting it
+        const borrowed = this._borrowed.get(connection);
+        borrowed.abandon = (err) => {
+          cleanup();
+          if (cancelled === null) {
+            cancelled = err;
+            reject(err);
+          }
+        };
+        // Polled while rows are delivered, when timers and events can't fire
+        borrowed.check = () => {
+          if (cancelled === null) {
+            if (signal && signal.aborted) {
+              onAbort();
+            }
+            else if (deadline !== null && Date.now() >= deadline) {
+              onTimeout();
+            }
+          }
+          return cancelled !== null;
+        };
+
+        const settle = () => {
+          cleanup();
+          // Once fn has given up, only return the connection if it's usable
+          if (cancelled !== null) {
+            this._recover(connection, pool);
+          }
+          else {
+            this._release(connection, pool);
+          }
+        };
+        this.Promise.resolve()
+          .then(() => (isAsync ? this._async(fn, connection) : fn.call(this, connection)))
+          .then((result) => {
+            settle();
+            resolve(result);
+          }, (err) => {
+            if (cancelled === null) {
+              this._failed(connection, err);
+            }
+            settle();
+            reject(err);
+          });
+      }, (err) => {
+        cleanup();
+        reject(err);
+      });
+    });
+  }
+
+  _abandonable (connection, work) {
+    // Reject at once if a forced close takes back the connection
+    return new this.Promise((resolve, reject) => {
+      this._borrowed.get(connection).abandon = reject;
+      this.Promise.resolve(work).then(resolve, reject);
+    });
+  }
+
+  _checkCancelled (connection) {
+    // Cancels the query running on a connection if its time is up or it was
+    // aborted, returning true if it has been cancelled
+    const borrowed = this._borrowed.get(connection);
+    return borrowed !== undefined && borrowed.check !== null && borrowed.check();
+  }
+
+  _recover (connection, pool) {
+    // SQLite rolls back a transaction interrupted mid-statement, but not
+    // one interrupted between statements, so roll back whatever is left
+    // before checking the connection and returning it to the pool
+    this._unsettled(connection);
+    connection.driver.exec('ROLLBACK', () => this._release(connection, pool));
+  }
+
+  _cancelOptions ({ timeout, signal } = {}) {
+    return {
+      timeout: timeout !== undefined ? timeout : this._timeout,
+      signal: signal || null,
+    };
+  }
+
+  _attachment (alias, value, options = {}) {
+    if (typeof alias !== 'string' || !alias.length || /^(main|temp)$/i.test(alias)) {
+      throw new Error(`Invalid alias '${alias}' for an attached database`);
+    }
+    const { filename, walMode, foreignKeys } = Object.assign(
+      { walMode: this._sqlite_opts.walMode, foreignKeys: this._sqlite_opts.foreignKeys },
+      typeof value === 'string' ? { filename: value } : value,
+      options
+    );
+    if (typeof filename !== 'string') {
+      throw new Error(`No filename given for attached database '${alias}'`);
+    }
+    // SQLite enforces foreign keys for all of a connection's databases or none
+    if (!!foreignKeys !== !!this._sqlite_opts.foreignKeys) {
+      throw new Error(
+        `Attached database '${alias}' cannot have a different foreignKeys setting to the main database`
+      );
+    }
+    return { filename, walMode: !!walMode, foreignKeys: !!foreignKeys };
+  }
+
+  _syncAttached (connection) {
+    const state = this._conn_state.get(connection);
+    const version = this._attach_version;
+    if (state.attachVersion === version) {
+      return this.Promise.resolve();
+    }
+
+    return this._async(function* _syncAttachedAsync () {
+      // Detach databases since detached (or attached again differently)
+      for (const [alias, attachment] of state.attached) {
+        if (this._attached.get(alias) !== attachment) {
+          // Cached statements may refer to the detached database
+          if (connection.statementCache !== null) {
+            yield connection.statementCache.clear();
+          }
+          yield connection.exec(`DETACH DATABASE ${sqlTemplate.id(alias).text};`);
+          state.attached.delete(alias);
+        }
+      }
+
+      // Attach new ones, setting WAL mode from write connections
+      for (const [alias, attachment] of this._attached) {
+        if (!state.attached.has(alias)) {
+          const name = sqlTemplate.id(alias).text;
+          yield connection.run(`ATTACH DATABASE ? AS ${name};`, attachment.filename);
+          state.attached.set(alias, attachment);
+          if (attachment.walMode && !state.readOnly) {
+            yield connection.exec(`PRAGMA ${name}.journal_mode = WAL;`);
+          }
+        }
+      }
+      state.attachVersion = version;
+    });
+  }
+
+  _retryBusy (fn, retry) {
+    return this._async(function* _retryBusyAsync () {
+      const policy = retryPolicy(this._retry, retry);
+      const started = Date.now();
+      let attempt = 1;
+      for (;;) {
+        try {
+          return yield fn.call(this);
+        }
+        catch (err) {
+          // Only retry if the database was busy or locked
+          if (attempt >= policy.attempts ||
+              (err.errno !== sqlite3.BUSY && err.errno !== sqlite3.LOCKED)) {
+            throw err;
+          }
+          const delay = retryDelay(policy, attempt);
+          if (policy.timeout !== null && Date.now() + delay > started + policy.timeout) {
+            throw err;
+          }
+          this.emit('retry', err, attempt, delay);
+          yield new this.Promise(resolve => setTimeout(resolve, delay));
+          attempt += 1;
+        }
+      }
+    });
+  }
+
+  cacheStats () {
+    const { hits, misses } = this._cache_totals;
+    return { hits, misses };
+  }
+
+  stats () {
+    const poolStats = pool => ({
+      size: pool.size,
+      available: pool.available,
+      borrowed: pool.borrowed,
+      pending: pool.pending,
+      min: pool.min,
+      max: pool.max,
+    });
+    const stats = Object.assign(
+      { pool: poolStats(this._pool) },
+      this._metrics.snapshot(),
+      { statementCache: this.cacheStats() }
+    );
+
+    // Report pools separately, and sum for overall pool stats
+    if (this._single_writer) {
+      const writePool = stats.pool;
+      const readPool = poolStats(this._read_pool);
+      stats.pool = Object.keys(writePool).reduce((total, key) => Object.assign(total, {
+        [key]: writePool[key] + readPool[key],
+      }), {});
+      stats.writePool = writePool;
+      stats.readPool = readPool;
+    }
+
+    return stats;
+  }
+
+  prometheus (prefix) {
+    return Metrics.format(this.stats(), prefix);
+  }
+
+  close ({ timeout = null, force = false, grace = 1000 } = {}) {
+    // Reject new work at once, while work already started carries on
+    this._closed = true;
+
+    return this._async(function* _closeAsync () {
+      yield this._maintenance.stop();
+
+      const pools = this._read_pool !== this._pool ? [this._read_pool, this._pool] : [this._pool];
+      const inUse = () => pools.reduce((total, pool) => total + pool.borrowed + pool.pending, 0);
+      const wait = () => new this.Promise(resolve => setTimeout(resolve, 10));
+
+      // Wait for work in progress, up to the timeout (if forced without
+      // a timeout, don't wait at all)
+      const deadline = timeout ? Date.now() + timeout : force ? Date.now() : null;
+      while (inUse() > 0 && (deadline === null || Date.now() < deadline)) {
+        yield wait();
+      }
+      if (inUse() > 0) {
+        if (!force) {
+          throw new Error(
+            `Timed out closing the database after ${timeout}ms, with ${inUse()} connections in use`
+          );
+        }
+        // Interrupt whatever is still running until its connection is
+        // released, which rolls back any transaction left open
+        const graceEnd = Date.now() + grace;
+        while (inUse() > 0 && Date.now() < graceEnd) {
+          this._borrowed.forEach((borrowed, connection) => connection.driver.interrupt());
+          yield wait();
+        }
+
+        // Then take back connections still in use (eg by work waiting on
+        // something other than a query), rejecting that work
+        this._forced = true;
+        this._borrowed.forEach(({ pool, abandon }, connection) => {
+          if (abandon !== null) {
+            abandon(new PoolClosedError('The database was closed while the connection was in use'));
+          }
+          pool.destroy(connection);
+        });
+        this._borrowed.clear();
+        while (inUse() > 0) {
+          yield wait();
+        }
+      }
+
+      // Close read-only connections first, so the writer closes last
+      if (this._closing === null) {
+        this._closing = this._async(function* _closePoolsAsync () {
+          for (const pool of pools) {
+            yield this._closePool(pool);
+          }
+          if (this._keeper !== null) {
+            yield new this.Promise(resolve => this._keeper.close(() => resolve()));
+          }
+        });
+      }
+      yield this._closing;
+    });
+  }
+
+  _closePool (pool) {
+    return this._async(function* _closePoolAsync () {
+      const toClose = [];
       // Queue up enough acquire() calls for all pooled connections
-      while (to_close.length < this._pool.size) {
-        to_close.push(this._pool.acquire().catch(() => {}));
+      while (toClose.length < pool.size) {
+        toClose.push(pool.acquire().catch(() => {}));
       }
       // Now set pool to draining to block further acquisitions
-      const drained = this._pool.drain();
+      const drained = pool.drain();
       // Wait until acquired
-      const closing = (yield Promise.all(to_close)).filter(c => !!c);
+      const closing = (yield Promise.all(toClose)).filter(c => !!c);
+      // Update query planner statistics as each connection closes, and
+      // checkpoint and truncate the WAL file before the last one does
+      for (const conn of closing) {
+        yield conn.exec('PRAGMA optimize;').catch(() => {});
+      }
+      if (pool === this._pool && closing.length) {
+        yield closing[0].exec('PRAGMA wal_checkpoint(TRUNCATE);').catch(() => {});
+      }
       // Close and destroy all but last connection
-      closing.splice(1).forEach(conn => this._pool.destroy(conn));
+      closing.splice(1).forEach(conn => pool.destroy(conn));
       // Wait until only last connection open
-      while (this._pool.size > 1) {
-        yield new Promise((resolve) => setImmediate(resolve));
+      while (pool.size > 1) {
+        yield new Promise(resolve => setImmediate(resolve));
       }
       // Clear last connection, and let pool finish draining
-      closing.forEach(conn => this._pool.destroy(conn));
+      closing.forEach(conn => pool.destroy(conn));
       yield drained;
-      yield this._pool.clear();
+      yield pool.clear();
     });
   }
 
-  exec (...args) {
-    return this._acquireRelease(conn => conn.exec(...args)).then(() => {});
+  exec (query, ...args) {
+    const [sql, options] = queryOptions(query);
+    return this._acquireRelease((conn) => {
+      // Statements such as BEGIN may leave a transaction open
+      this._unsettled(conn);
+      return conn.exec(sql, ...args);
+    }, false, this._pool, this._cancelOptions(options)).then(() => {});
   }
 
-  run (...args) {
-    return this._acquireRelease(conn => conn.run(...args));
+  run (query, ...args) {
+    const [sql, options] = queryOptions(query);
+    return this._acquireRelease((conn) => {
+      this._unsettled(conn);
+      return conn.run(sql, ...args);
+    }, false, this._pool, this._cancelOptions(options));
   }
 
-  get (...args) {
-    return this._acquireRelease(conn => conn.get(...args));
+  get (query, ...args) {
+    const [sql, options] = queryOptions(query);
+    return this._acquireRelease(
+      conn => conn.get(sql, ...args), false, this._read_pool, this._cancelOptions(options)
+    );
   }
 
-  all (...args) {
-    return this._acquireRelease(conn => conn.all(...args));
+  all (query, ...args) {
+    const [sql, options] = queryOptions(query);
+    return this._acquireRelease(
+      conn => conn.all(sql, ...args), false, this._read_pool, this._cancelOptions(options)
+    );
   }
 
-  each (...args) {
-    return this._acquireRelease(conn => conn.each(...args));
+  each (query, ...args) {
+    const [sql, options] = queryOptions(query);
+    return this._acquireRelease(
+      conn => conn.each(sql, ...args), false, this._read_pool, this._cancelOptions(options)
+    );
   }
 
-  use (fn) {
+  _use (fn, pool, options) {
+    const cancel = this._cancelOptions(options);
+
+    // Run generator functions with the async runner
+    if (isGeneratorFunction(fn)) {
+      return this._useAsync(fn, pool, cancel);
+    }
+
     return this._acquireRelease((conn) => {
+      // Callbacks may leave a transaction open
+      this._unsettled(conn);
       // Pass connection to function
       const result = fn.call(this, conn);
 
-      // If function didn't return a thenable, wait
+      // If function didn't return a thenable, wait (async
+      // functions always return a Promise, so never wait)
       return isThenable(result) ? result : conn.wait().then(() => result);
+    }, false, pool, cancel);
+  }
+
+  iterate (sql, ...args) {
+    const pool = this._read_pool;
+    let connection = null;
+
+    // Hold connection until iteration is finished or abandoned
+    return new RowIterator(this.Promise, {
+      open: () => this._async(function* _iterateOpenAsync () {
+        connection = yield this._acquire(pool);
+        return yield connection.prepare(sql, ...args);
+      }),
+      close: stmt => this._async(function* _iterateCloseAsync () {
+        try {
+          if (stmt !== null) {
+            yield stmt.finalize();
+          }
+        }
+        finally {
+          if (connection !== null) {
+            this._release(connection, pool);
+          }
+        }
+      }),
     });
   }
 
-  useAsync (gen) {
-    return this._acquireRelease(gen, true);
+  use (fn, options) {
+    return this._use(fn, this._pool, options);
+  }
+
+  read (fn, options) {
+    return this._use(fn, this._read_pool, options);
+  }
+
+  write (fn, options) {
+    return this._use(fn, this._pool, options);
+  }
+
+  _useAsync (gen, pool, cancel) {
+    return this._acquireRelease(function* _useAsyncGen (conn) {
+      this._unsettled(conn);
+      return yield* gen.call(this, conn);
+    }, true, pool, cancel);
+  }
+
+  useAsync (gen, options) {
+    return this._useAsync(gen, this._pool, this._cancelOptions(options));
+  }
+
+  transaction (fn, immediate, retry) {
+    const options = this._trxOptions(immediate, retry);
+    return this._retryBusy(
+      () => this._acquireRelease(
+        conn => conn.transaction(fn, options.immediate), false, this._pool, options.cancel
+      ),
+      options.retry
+    );
   }
 
-  transaction (fn, immediate = this._immediate) {
-    return this._acquireRelease(conn => conn.transaction(fn, immediate));
+  transactionAsync (gen, immediate, retry) {
+    const options = this._trxOptions(immediate, retry);
+    return this._retryBusy(
+      () => this._acquireRelease(
+        conn => conn.transactionAsync(gen, options.immediate), false, this._pool, options.cancel
+      ),
+      options.retry
+    );
   }
 
-  transactionAsync (gen, immediate = this._immediate) {
-    return this._acquireRelease(conn => conn.transactionAsync(gen, immediate));
+  _trxOptions (immediate = this._immediate, retry) {
+    // Options may be given as an object in place of immediate
+    if (typeof immediate === 'object' && immediate !== null) {
+      return {
+        immediate: immediate.immediate !== undefined ? immediate.immediate : this._immediate,
+        retry: immediate.retry,
+        cancel: this._cancelOptions(immediate),
+      };
+    }
+    return { immediate, retry, cancel: this._cancelOptions() };
   }
 
   /**
-   * Migrates database schema to the latest version
+   * Attaches another database to every connection, under the given alias
    */
-  migrate ({ force, table = 'migrations', migrationsPath = './migrations' } = {}) {
-    return this._async(function* _migrateAsync () {
-      const Promise = this.Promise;
-      const location = path.resolve(migrationsPath);
+  attach (alias, filename, options) {
+    return this._async(function* _attachAsync () {
+      const attachment = this._attachment(alias, filename, options);
+      if (this._attached.has(alias)) {
+        throw new Error(`A database is already attached as '${alias}'`);
+      }
+      this._attached.set(alias, attachment);
+      this._attach_version += 1;
+
+      // Attach to a write connection now, so any error is reported here,
+      // and to others before they are next used
+      try {
+        yield this._acquireRelease(() => {});
+      }
+      catch (err) {
+        this._attached.delete(alias);
+        this._attach_version += 1;
+        throw err;
+      }
+    });
+  }
+
+  /**
+   * Detaches a database attached with the given alias from every connection
+   */
+  detach (alias) {
+    return this._async(function* _detachAsync () {
+      if (!this._attached.has(alias)) {
+        throw new Error(`No database is attached as '${alias}'`);
+      }
+      this._attached.delete(alias);
+      this._attach_version += 1;
+      yield this._acquireRelease(() => {});
+    });
+  }
+
+  /**
+   * Checkpoints the WAL file, resolving with the number of frames in it and
+   * the number checkpointed, and whether the checkpoint was blocked
+   */
+  checkpoint (mode = 'PASSIVE') {
+    const name = String(mode).toUpperCase();
+    if (checkpointModes.indexOf(name) === -1) {
+      return this.Promise.reject(new Error(`Invalid checkpoint mode '${mode}'`));
+    }
+    return this._maintain('checkpoint', conn => conn.get(`PRAGMA wal_checkpoint(${name});`)
+      .then(({ busy, log, checkpointed }) => ({
+        mode: name,
+        busy: busy !== 0,
+        log,
+        checkpointed,
+      })));
+  }
+
+  /**
+   * Runs PRAGMA optimize, updating query planner statistics where needed
+   */
+  optimize () {
+    return this._maintain('optimize', conn => conn.exec('PRAGMA optimize;').then(() => ({})));
+  }
+
+  /**
+   * Frees up to the given number of pages (or all) from the database's free
+   * list, resolving with the number freed. Requires `auto_vacuum = INCREMENTAL`.
+   */
+  incrementalVacuum (pages = null) {
+    return this._maintain('incrementalVacuum', conn => this._async(function* _vacuumAsync () {
+      const before = yield conn.get('PRAGMA freelist_count;');
+      yield conn.exec(`PRAGMA incremental_vacuum${pages ? `(${Number(pages)})` : ''};`);
+      const after = yield conn.get('PRAGMA freelist_count;');
+      return { pages: before.freelist_count - after.freelist_count };
+    }));
+  }
+
+  _maintain (event, fn) {
+    // Run on a write connection, taking turns with other writers
+    const start = process.hrtime();
+    return this._acquireRelease(fn).then((result) => {
+      const info = Object.assign(result, { duration: elapsed(start) });
+      this.emit(event, Object.assign({}, info, { error: null }));
+      return info;
+    }, (err) => {
+      this.emit(event, { duration: elapsed(start), error: err });
+      throw err;
+    });
+  }
+
+  insertMany (table, rows, options) {
+    return this._retryBusy(
+      () => this._acquireRelease(conn => conn.insertMany(table, rows, options))
+    );
+  }
+
+  upsert (table, rows, options) {
+    return this._retryBusy(
+      () => this._acquireRelease(conn => conn.upsert(table, rows, options))
+    );
+  }
+
+  /**
+   * Copies the database to the given file while it remains in use, using
+   * SQLite's online backup API, or VACUUM INTO where that isn't available
+   */
+  backup (destPath, { pagesPerStep = 100, onProgress = null, vacuum = false } = {}) {
+    // VACUUM INTO counts as a write, so can't use read-only connections
+    if (vacuum || typeof sqlite3.Database.prototype.backup !== 'function') {
+      return this._acquireRelease(conn => conn.run('VACUUM INTO ?', destPath)).then(() => {});
+    }
+
+    // Hold a connection between steps, but let other queries run
+    return this._acquireRelease(conn => this._backupSteps(
+      conn, done => conn.driver.backup(destPath, done), pagesPerStep, onProgress
+    ), false, this._read_pool);
+  }
+
+  /**
+   * Replaces the contents of the database with those of the given file,
+   * once all connections have finished with their current work
+   */
+  restore (srcPath, { pagesPerStep = -1, onProgress = null } = {}) {
+    return this._async(function* _restoreAsync () {
+      // Drain the pool by holding every connection (other callers
+      // will queue for them in the meantime)
+      const pools = this._read_pool !== this._pool ? [this._pool, this._read_pool] : [this._pool];
+      const held = [];
+      try {
+        for (const pool of pools) {
+          while (held.filter(x => x.pool === pool).length < pool.max) {
+            held.push({ pool, conn: yield this._acquire(pool) });
+          }
+        }
+
+        // Restore using a write connection, which all others will then see
+        const conn = held[0].conn;
+        yield this._backupSteps(
+          conn, done => conn.driver.backup(srcPath, 'main', 'main', false, done),
+          pagesPerStep, onProgress
+        );
+
+        // Prepared statements may refer to tables which no longer exist
+        yield this.Promise.all(held
+          .filter(x => x.conn.statementCache !== null)
+          .map(x => x.conn.statementCache.clear()));
+      }
+      finally {
+        held.forEach(({ pool, conn }) => this._release(conn, pool));
+      }
+    });
+  }
 
-      // Get the list of migration files, for example:
-      //   { id: 1, name: 'initial', filename: '001-initial.sql' }
-      //   { id: 2, name: 'feature', fielname: '002-feature.sql' }
-      const migrations = yield new Promise((resolve, reject) => {
-        fs.readdir(location, (err, files) => {
+  _backupSteps (connection, init, pagesPerStep, onProgress) {
+    return this._async(function* _backupStepsAsync () {
+      const backups = this._conn_state.get(connection).backups;
+      const backup = yield new this.Promise((resolve, reject) => {
+        const handle = init((err) => {
           if (err) {
-            reject(err);
+            reject(wrapError(err));
           }
           else {
-            resolve(files
-              .map(x => x.match(/^(\d+).(.*?)\.sql$/))
-              .filter(x => x !== null)
-              .map(x => ({ id: Number(x[1]), name: x[2], filename: x[0] }))
-              .sort((a, b) => (a.id > b.id ? 1 : a.id < b.id ? -1 : 0)));
+            resolve(handle);
           }
         });
       });
+      backups.add(backup);
 
-      if (!migrations.length) {
-        throw new Error(`No migration files found in '${location}'.`);
-      }
-
-      // Get the list of migrations, for example:
-      // { id: 1, name: 'initial', filename: '001-initial.sql', up: ..., down: ... }
-      // { id: 2, name: 'feature', fielname: '002-feature.sql', up: ..., down: ... }
-      yield Promise.all(migrations.map(migration => new Promise((resolve, reject) => {
-        const filename = path.join(location, migration.filename);
-        fs.readFile(filename, 'utf-8', (err, data) => {
-          if (err) {
-            reject(err);
+      try {
+        let attempt = 1;
+        while (!backup.completed) {
+          let stepped = false;
+          try {
+            yield new this.Promise((resolve, reject) => {
+              backup.step(pagesPerStep, err => (err ? reject(wrapError(err)) : resolve()));
+            });
+            stepped = true;
           }
-          else {
-            const [up, down] = data.split(/^--\s+?down/mi);
-            if (!down) {
-              reject(new Error(
-                `The file ${migration.filename} is missing a '-- Down' separator.`
-              ));
+          catch (err) {
+            // Steps can be retried while the database is busy or locked,
+            // according to the transaction retry policy
+            if (backup.failed || attempt >= this._retry.attempts ||
+                (err.errno !== sqlite3.BUSY && err.errno !== sqlite3.LOCKED)) {
+              throw err;
             }
-            else {
-              // Remove comments and trim whitespaces
-              /* eslint-disable no-param-reassign */
-              migration.up = up.replace(/^--.*?$/gm, '').trim();
-              migration.down = down.replace(/^--.*?$/gm, '').trim();
-              /* eslint-enable no-param-reassign */
-              resolve();
+            const delay = retryDelay(this._retry, attempt);
+            this.emit('retry', err, attempt, delay);
+            yield new this.Promise(resolve => setTimeout(resolve, delay));
+            attempt += 1;
+          }
+
+          if (stepped) {
+            attempt = 1;
+            if (onProgress !== null) {
+              onProgress({ remaining: backup.remaining, pageCount: backup.pageCount });
+            }
+            // Let other queries run between steps
+            if (!backup.completed) {
+              yield new this.Promise(resolve => setImmediate(resolve));
             }
           }
-        });
-      })));
+        }
+      }
+      finally {
+        backups.delete(backup);
+        yield new this.Promise(resolve => backup.finish(() => resolve()));
+      }
+    });
+  }
 
-      yield this.useAsync(function* _runMigrationsAsync (conn) {
-        // Create a database table for migrations meta data if it doesn't exist
-        yield conn.run(`CREATE TABLE IF NOT EXISTS "${table}" (
-    id   INTEGER PRIMARY KEY,
-    name TEXT    NOT NULL,
-    up   TEXT    NOT NULL,
-    down TEXT    NOT NULL
-  )`);
+  /**
+   * Returns the applied, pending, missing and changed migrations, and those
+   * which migrate() would roll back with the given options
+   */
+  migrationStatus ({ force, table = 'migrations', migrationsPath = './migrations' } = {}) {
+    return this._async(function* _migrationStatusAsync () {
+      const migrations = yield readMigrations(migrationsPath, this.Promise);
+      const applied = yield this.read(conn => this._readMigrations(conn, table), { timeout: null });
+      const { down } = planMigrations(migrations, applied, force);
+      const kept = applied.filter(x => down.indexOf(x) === -1);
+      const describe = ({ id, name }) => ({ id, name });
+
+      return {
+        applied: applied.map(describe),
+        pending: migrations.filter(x => !applied.some(y => y.id === x.id)).map(describe),
+        missing: applied.filter(x => !migrations.some(y => y.id === x.id)).map(describe),
+        rollback: down.map(describe),
+        drifted: findDrifted(migrations, kept).map(describe),
+      };
+    });
+  }
+
+  /**
+   * Migrates database schema to the latest version, resolving with a report
+   * of the steps run, or of the steps planned if `dryRun` is set
+   */
+  migrate ({
+    force,
+    table = 'migrations',
+    migrationsPath = './migrations',
+    repair = false,
+    dryRun = false,
+    lockTimeout = 60000,
+  } = {}) {
+    return this._async(function* _migrateAsync () {
+      const start = process.hrtime();
+
+      // Get the list of migrations from files, sorted by id
+      const migrations = yield readMigrations(migrationsPath, this.Promise);
+
+      // Run JavaScript migration functions with this Sqlite object
+      const invoke = (fn, trx) => this._invoke(fn, trx);
+
+      // Run SQL migration statements one at a time, locating any failure
+      const exec = (trx, statements, source) => this._async(function* _execAsync () {
+        for (const statement of statements) {
+          try {
+            yield trx.exec(statement.text);
+          }
+          catch (err) {
+            throw locateError(err, source, statement);
+          }
+        }
+      });
+
+      // Failed step, reported once the steps before it are committed
+      let failure = null;
+
+      const run = db => this._async(function* _runMigrationsAsync () {
+        failure = null;
+
+        if (!dryRun) {
+          yield this._createMigrationTable(db, table);
+        }
 
         // Get the list of already applied migrations
-        let dbMigrations = yield conn.all(
-          `SELECT id, name, up, down FROM "${table}" ORDER BY id ASC`,
-        );
+        const applied = yield this._readMigrations(db, table);
 
-        // Undo migrations that exist only in the database but not in files,
-        // also undo the last migration if the `force` option was set to `last`.
-        const lastMigration = migrations[migrations.length - 1];
-        const prev = dbMigrations
-                      .slice()
-                      .sort((a, b) => (a.id < b.id ? 1 : a.id > b.id ? -1 : 0));
-        for (const migration of prev) {
-          if (!migrations.some(x => x.id === migration.id) ||
-              (Number.isInteger(force) && migration.id > force) ||
-              (force === 'last' && migration.id === lastMigration.id)) {
-            yield conn.transactionAsync(function* _downAsync (trx) {
-              yield trx.exec(migration.down);
-              yield trx.run(`DELETE FROM "${table}" WHERE id = ?`, migration.id);
-            });
-            dbMigrations = dbMigrations.filter(x => x.id !== migration.id);
+        const { down, up } = planMigrations(migrations, applied, force);
+
+        // Check applied migrations against their files, and either refuse to
+        // continue or accept the files as they are now (other than those to be
+        // rolled back, eg when editing the latest migration with `force: 'last'`)
+        const drifted = findDrifted(migrations, applied.filter(x => down.indexOf(x) === -1));
+        if (drifted.length && !repair) {
+          throw new Error(
+            `Applied migrations have changed since they were run: ${drifted.map(x => x.id).join(', ')}.`
+          );
+        }
+
+        // JavaScript migrations can only be undone using their file,
+        // and only if it still has the down function which was recorded
+        for (const migration of down) {
+          const file = migrations.find(x => x.id === migration.id);
+          if (isJsText(migration.down) && (!file || file.type !== 'js')) {
+            throw new Error(
+              `Cannot undo JavaScript migration ${migration.id} '${migration.name}' without its file.`
+            );
           }
-          else {
-            break;
+          if (isJsText(migration.down) && file.down !== migration.down) {
+            throw new Error(
+              `Cannot undo JavaScript migration ${migration.id} '${migration.name}' ` +
+              'since its down function has changed.'
+            );
           }
         }
 
-        // Apply pending migrations
-        const lastMigrationId = dbMigrations.length
-                              ? dbMigrations[dbMigrations.length - 1].id
-                              : 0;
-        const maxMigrationId = Number.isInteger(force)
-                             ? force
-                             : migrations[migrations.length - 1].id;
-        for (const migration of migrations) {
-          if (migration.id > lastMigrationId &&
-              migration.id <= maxMigrationId) {
-            yield conn.transactionAsync(function* _upAsync (trx) {
-              yield trx.exec(migration.up);
-              yield trx.run(
-                `INSERT INTO "${table}" (id, name, up, down) VALUES (?, ?, ?, ?)`,
-                migration.id, migration.name, migration.up, migration.down
+        const report = {
+          dryRun,
+          steps: [
+            ...down.map(({ id, name }) => ({ direction: 'down', id, name, duration: null })),
+            ...up.map(({ id, name }) => ({ direction: 'up', id, name, duration: null })),
+          ],
+          repaired: drifted.map(x => x.id),
+          duration: null,
+        };
+        if (dryRun) {
+          return report;
+        }
+
+        // Keep the recorded down text, which is what undoes the migration
+        // as it was applied
+        for (const migration of drifted) {
+          yield db.run(
+            `UPDATE "${table}" SET name = ?, up = ?, checksum = ? WHERE id = ?`,
+            migration.name, migration.up, migration.checksum, migration.id
+          );
+        }
+
+        // Run each step in its own savepoint, stopping at the first failure
+        const steps = [
+          ...down.map(migration => function* _downAsync (trx) {
+            // Undo using the recorded down text, which pairs with the up text
+            // which was run, even if the file has changed since
+            if (isJsText(migration.down)) {
+              yield invoke(migrations.find(x => x.id === migration.id).downFn, trx);
+            }
+            else {
+              yield exec(
+                trx, parseStatements(migration.down), `Recorded migration ${migration.id} '${migration.name}'`
               );
-            });
+            }
+            yield trx.run(`DELETE FROM "${table}" WHERE id = ?`, migration.id);
+          }),
+          ...up.map(migration => function* _upAsync (trx) {
+            if (migration.type === 'js') {
+              yield invoke(migration.upFn, trx);
+            }
+            else {
+              yield exec(trx, migration.upStatements, migration.filename);
+            }
+            yield trx.run(
+              `INSERT INTO "${table}" (id, name, up, down, checksum) VALUES (?, ?, ?, ?, ?)`,
+              migration.id, migration.name, migration.up, migration.down, migration.checksum
+            );
+          }),
+        ];
+        for (const [i, step] of steps.entries()) {
+          const stepStart = process.hrtime();
+          try {
+            yield db.transactionAsync(step);
+          }
+          catch (err) {
+            failure = err;
+            break;
           }
+          report.steps[i].duration = elapsed(stepStart);
         }
+
+        report.duration = elapsed(start);
+        return report;
       });
 
-      return this;
+      // Hold an exclusive lock for the whole run, so other processes wait
+      // for it to finish and then find nothing left to do
+      const report = yield this._retryBusy(() => this.use(conn => (
+        dryRun ? run(conn) : conn.transaction(trx => run(trx), 'exclusive')
+      ), { timeout: null }), { attempts: Infinity, timeout: lockTimeout });
+
+      if (failure !== null) {
+        throw failure;
+      }
+      return report;
+    });
+  }
+
+  _createMigrationTable (conn, table) {
+    return this._async(function* _createMigrationTableAsync () {
+      // Create a database table for migrations meta data if it doesn't exist
+      yield conn.run(`CREATE TABLE IF NOT EXISTS "${table}" (
+    id   INTEGER PRIMARY KEY,
+    name TEXT    NOT NULL,
+    up   TEXT    NOT NULL,
+    down TEXT    NOT NULL,
+    checksum TEXT
+  )`);
+
+      // Upgrade tables created before checksums were recorded, using
+      // the checksums of the migrations as they were applied
+      const columns = yield conn.all(`PRAGMA table_info("${table}")`);
+      if (!columns.some(x => x.name === 'checksum')) {
+        yield conn.transactionAsync(function* _upgradeAsync (trx) {
+          yield trx.exec(`ALTER TABLE "${table}" ADD COLUMN checksum TEXT`);
+          const rows = yield trx.all(`SELECT id, up, down FROM "${table}"`);
+          for (const row of rows) {
+            yield trx.run(
+              `UPDATE "${table}" SET checksum = ? WHERE id = ?`,
+              checksum(row.up, row.down), row.id
+            );
+          }
+        });
+      }
+    });
+  }
+
+  _readMigrations (conn, table) {
+    return this._async(function* _readMigrationsAsync () {
+      // Without changing the database, so an absent or not yet
+      // upgraded table is treated as it would be after upgrading
+      const exists = yield conn.get(
+        'SELECT name FROM sqlite_master WHERE type = \'table\' AND name = ?', table
+      );
+      if (exists === undefined) {
+        return [];
+      }
+      const columns = yield conn.all(`PRAGMA table_info("${table}")`);
+      const upgraded = columns.some(x => x.name === 'checksum');
+      const rows = yield conn.all(
+        `SELECT id, name, up, down${upgraded ? ', checksum' : ''} FROM "${table}" ORDER BY id ASC`
+      );
+      return upgraded ? rows : rows.map(
+        row => Object.assign(row, { checksum: checksum(row.up, row.down) })
+      );
     });
   }
 
@@ -425,5 +1535,16 @@ class Sqlite extends EventEmitter {
 }
 Sqlite.Database = Database;
 Sqlite.Statement = Statement;
+Sqlite.RowIterator = RowIterator;
+Sqlite.SqliteError = SqliteError;
+Sqlite.BusyError = BusyError;
+Sqlite.ConstraintError = ConstraintError;
+Sqlite.AcquireTimeoutError = AcquireTimeoutError;
+Sqlite.TransactionError = TransactionError;
+Sqlite.QueryTimeoutError = QueryTimeoutError;
+Sqlite.AbortError = AbortError;
+Sqlite.PoolClosedError = PoolClosedError;
+Sqlite.Sql = Sql;
+Sqlite.sql = sqlTemplate;
 export default Sqlite;
 //export {Database, Statement};
\ No newline at end of file
@@ -10,13 +10,22 @@
  * LICENSE.txt file in the root directory of this source tree.
  */
 
+import { wrapError } from './errors';
 import { prepareParams } from './utils';
 
 class Statement {
 
-  constructor (stmt, Promise) {
+  constructor (stmt, Promise, redactParams = false, openStatements = null) {
     this.stmt = stmt;
     this.Promise = Promise;
+    this._redact = redactParams;
+
+    // Track statements until finalized, so their connection can finalize
+    // any left open before closing
+    this._open = openStatements;
+    if (openStatements !== null) {
+      openStatements.add(this);
+    }
   }
 
   get sql () {
@@ -37,7 +46,7 @@ class Statement {
     return new this.Promise((resolve, reject) => {
       this.stmt.bind(params, (err) => {
         if (err) {
-          reject(err);
+          reject(this._error(err, params));
         }
         else {
           resolve(this);
@@ -55,10 +64,14 @@ class Statement {
   }
 
   finalize () {
+    if (this._open !== null) {
+      this._open.delete(this);
+    }
+
     return new this.Promise((resolve, reject) => {
       this.stmt.finalize((err) => {
         if (err) {
-          reject(err);
+          reject(this._error(err));
         }
         else {
           resolve();
@@ -73,7 +86,7 @@ class Statement {
     return new this.Promise((resolve, reject) => {
       this.stmt.run(params, (err) => {
         if (err) {
-          reject(err);
+          reject(this._error(err, params));
         }
         else {
           resolve(this);
@@ -88,7 +101,7 @@ class Statement {
     return new this.Promise((resolve, reject) => {
       this.stmt.get(params, (err, row) => {
         if (err) {
-          reject(err);
+          reject(this._error(err, params));
         }
         else {
           resolve(row);
@@ -103,7 +116,7 @@ class Statement {
     return new this.Promise((resolve, reject) => {
       this.stmt.all(params, (err, rows) => {
         if (err) {
-          reject(err);
+          reject(this._error(err, params));
         }
         else {
           resolve(rows);
@@ -132,7 +145,7 @@ class Statement {
 
       const done = (err, rowsCount = 0) => {
         if (err) {
-          reject(err);
+          reject(this._error(err, params));
         }
         else if (error) {
           reject(error);
@@ -146,6 +159,10 @@ class Statement {
     });
   }
 
+  _error (err, params) {
+    return wrapError(err, this.sql, params, this._redact);
+  }
+
 }
 
 export default Statement;
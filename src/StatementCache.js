@@ -0,0 +1,112 @@
+/**
+ * Pooled SQLite client library for Node.js
+ * Based on the node-sqlite library
+ *
+ * Copyright © 2017 Raymond Neilson. All rights reserved.
+ *
+ * Original work copyright © 2016 Kriasoft, LLC. All rights reserved.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+class StatementCache {
+
+  /**
+   * Initializes a new least-recently-used cache of prepared statements for one connection.
+   * @param Promise ES6 Promise library to use.
+   * @param prepare Function given SQL text returning a Promise for a Statement object.
+   * @param capacity Maximum number of statements to keep prepared.
+   * @param totals Object with `hits` and `misses` counters shared between caches.
+   */
+  constructor (Promise, prepare, capacity, totals = { hits: 0, misses: 0 }) {
+    this.Promise = Promise;
+    this._prepare = prepare;
+    this._entries = new Map();
+    this._pending = new Map();
+    this._totals = totals;
+    this.capacity = capacity;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  get size () {
+    return this._entries.size;
+  }
+
+  /**
+   * Returns a Promise for a prepared Statement for the given SQL, preparing it if not cached.
+   */
+  get (sql) {
+    let entry = this._entries.get(sql);
+
+    if (entry !== undefined) {
+      // Move to most-recently-used position
+      this._entries.delete(sql);
+      this._entries.set(sql, entry);
+      this._hit();
+      return entry;
+    }
+
+    // Share a statement still being prepared
+    entry = this._pending.get(sql);
+    if (entry !== undefined) {
+      this._hit();
+      return entry;
+    }
+
+    this.misses += 1;
+    this._totals.misses += 1;
+
+    // Only cache statements (evicting others) once they are prepared,
+    // so one which fails to prepare doesn't displace any
+    entry = this._prepare(sql);
+    this._pending.set(sql, entry);
+    entry.then(() => {
+      if (this._pending.get(sql) === entry) {
+        this._pending.delete(sql);
+        this._add(sql, entry);
+      }
+    }, () => {
+      if (this._pending.get(sql) === entry) {
+        this._pending.delete(sql);
+      }
+    });
+
+    return entry;
+  }
+
+  /**
+   * Finalizes and removes all cached statements. Returns a Promise.
+   */
+  clear () {
+    const entries = Array.from(this._entries.values()).concat(Array.from(this._pending.values()));
+    this._entries.clear();
+    this._pending.clear();
+    return this.Promise.all(entries.map(
+      entry => entry.then(stmt => stmt.finalize(), () => {})
+    )).then(() => {});
+  }
+
+  _hit () {
+    this.hits += 1;
+    this._totals.hits += 1;
+  }
+
+  _add (sql, entry) {
+    this._entries.set(sql, entry);
+
+    // Evict least-recently-used statements (finalizing only
+    // queues behind any operations still pending on them)
+    for (const [key, evicted] of this._entries) {
+      if (this._entries.size <= this.capacity) {
+        break;
+      }
+      this._entries.delete(key);
+      evicted.then(stmt => stmt.finalize()).catch(() => {});
+    }
+  }
+
+}
+
+export default StatementCache;
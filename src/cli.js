@@ -0,0 +1,304 @@
+/**
+ * Pooled SQLite client library for Node.js
+ * Based on the node-sqlite library
+ *
+ * Copyright © 2017 Raymond Neilson. All rights reserved.
+ *
+ * Original work copyright © 2016 Kriasoft, LLC. All rights reserved.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Sqlite from './Sqlite';
+import { listMigrations } from './migrations';
+import { asyncRunner } from './utils';
+
+const usage = `Usage: sqlite-pool <command> [options]
+
+Commands:
+  migrate              Apply pending migrations
+  status               List applied, pending, missing and changed migrations
+  create <name>        Create the next-numbered migration file
+  rollback [n]         Roll back the last n applied migrations (default 1)
+  verify               Check applied migrations against their files
+
+Options:
+  --db <file>          Database file (default $SQLITE_POOL_DB or './database.sqlite')
+  --migrations <dir>   Directory of migration files (default './migrations')
+  --table <name>       Table tracking applied migrations (default 'migrations')
+  --to <id>            migrate: apply or roll back to the given migration id
+  --force              migrate: roll back and re-apply the latest migration
+  --repair             migrate: accept changed migration files
+  --dry-run            migrate, rollback: list the steps without running them
+  --js                 create: create a JavaScript migration
+  -h, --help           Show this message
+`;
+
+// Exit codes
+const OK = 0;
+const FAILED = 1;
+const USAGE = 2;
+
+// Options taking a value, and flags
+const valueOptions = ['db', 'migrations', 'table', 'to'];
+const flagOptions = ['force', 'repair', 'dry-run', 'js', 'help'];
+
+const sqlTemplate = `--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+`;
+
+const jsTemplate = `exports.up = async (trx) => {
+};
+
+exports.down = async (trx) => {
+};
+`;
+
+class UsageError extends Error {}
+
+/**
+ * Splits command-line arguments into positional arguments and options.
+ */
+function parseArgs (argv) {
+  const args = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const match = /^--?([a-z-]+)(?:=(.*))?$/.exec(arg);
+
+    if (match === null) {
+      args.push(arg);
+    }
+    else {
+      const name = match[1] === 'h' ? 'help' : match[1];
+      if (valueOptions.indexOf(name) !== -1) {
+        if (match[2] !== undefined) {
+          options[name] = match[2];
+        }
+        else if (i + 1 < argv.length) {
+          i += 1;
+          options[name] = argv[i];
+        }
+        else {
+          throw new UsageError(`Option --${name} requires a value`);
+        }
+      }
+      else if (flagOptions.indexOf(name) !== -1 && match[2] === undefined) {
+        options[name] = true;
+      }
+      else {
+        throw new UsageError(`Unknown option ${arg}`);
+      }
+    }
+  }
+
+  return { args, options };
+}
+
+function parseId (value, name) {
+  if (!/^\d+$/.test(value)) {
+    throw new UsageError(`${name} must be a non-negative integer`);
+  }
+  return Number(value);
+}
+
+function formatStep ({ direction, id, name, duration }) {
+  const time = duration !== null ? ` (${duration.toFixed(1)}ms)` : '';
+  return `${direction === 'up' ? 'up  ' : 'down'}  ${id} ${name}${time}`;
+}
+
+function formatReport (report) {
+  const lines = report.repaired.map(id => `repaired  ${id}`);
+  if (!report.steps.length) {
+    lines.push('Database is up to date.');
+  }
+  else {
+    if (report.dryRun) {
+      lines.push('Dry run, would run:');
+    }
+    lines.push(...report.steps.map(formatStep));
+  }
+  return lines;
+}
+
+/**
+ * Runs the command-line tool with the given arguments, returning a Promise for the exit code.
+ */
+function run (argv) {
+  const { stdout, stderr, env } = process;
+  const print = (lines) => {
+    lines.forEach(line => stdout.write(`${line}\n`));
+  };
+
+  return asyncRunner(Promise)(function* _runAsync () {
+    let db = null;
+    let openError = null;
+    try {
+      const { args, options } = parseArgs(argv);
+      const [command, ...rest] = args;
+      if (options.help) {
+        stdout.write(usage);
+        return OK;
+      }
+      if (command === undefined) {
+        throw new UsageError('No command given');
+      }
+
+      const migrationsPath = options.migrations || './migrations';
+      const table = options.table || 'migrations';
+      const open = (readOnly = false) => {
+        // Read-only connections can't switch the database to WAL mode
+        db = new Sqlite(options.db || env.SQLITE_POOL_DB || './database.sqlite', {
+          mode: readOnly ? Sqlite.OPEN_READONLY : null,
+          walMode: !readOnly,
+        });
+        // Report why connections failed, rather than the acquire timeout they lead to
+        db.on('error', (err) => {
+          openError = err;
+        });
+        return db;
+      };
+
+      switch (command) {
+        case 'migrate': {
+          if (rest.length) {
+            throw new UsageError('Too many arguments for migrate');
+          }
+          if (options.force && options.to !== undefined) {
+            throw new UsageError('Options --force and --to cannot be combined');
+          }
+          const force = options.force ? 'last'
+                      : options.to !== undefined ? parseId(options.to, 'Migration id')
+                      : undefined;
+          const report = yield open().migrate({
+            force,
+            table,
+            migrationsPath,
+            repair: !!options.repair,
+            dryRun: !!options['dry-run'],
+          });
+          print(formatReport(report));
+          return OK;
+        }
+
+        case 'status': {
+          if (rest.length) {
+            throw new UsageError('Too many arguments for status');
+          }
+          // Read-only, so as not to create a database which doesn't exist
+          const status = yield open(true).migrationStatus({ table, migrationsPath });
+          const drifted = status.drifted.map(x => x.id);
+          print([
+            ...status.applied.map(({ id, name }) => (
+              `${drifted.indexOf(id) !== -1 ? 'changed' : 'applied'}  ${id} ${name}`
+            )),
+            ...status.missing.map(({ id, name }) => `missing  ${id} ${name}`),
+            ...status.pending.map(({ id, name }) => `pending  ${id} ${name}`),
+          ]);
+          return OK;
+        }
+
+        case 'create': {
+          if (rest.length !== 1) {
+            throw new UsageError('Usage: sqlite-pool create <name>');
+          }
+          const slug = rest[0].toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+          if (!slug) {
+            throw new UsageError('Migration name must contain letters or digits');
+          }
+          if (!fs.existsSync(migrationsPath)) {
+            fs.mkdirSync(migrationsPath);
+          }
+          // Number after the latest migration, padded as the existing files are
+          const migrations = yield listMigrations(migrationsPath, Promise);
+          const last = migrations[migrations.length - 1];
+          const width = last ? /^\d+/.exec(last.filename)[0].length : 3;
+          const id = String(last ? last.id + 1 : 1);
+          const filename = path.join(
+            migrationsPath,
+            `${'0'.repeat(Math.max(width - id.length, 0))}${id}-${slug}.${options.js ? 'js' : 'sql'}`
+          );
+          fs.writeFileSync(filename, options.js ? jsTemplate : sqlTemplate, { flag: 'wx' });
+          print([`Created ${filename}`]);
+          return OK;
+        }
+
+        case 'rollback': {
+          if (rest.length > 1) {
+            throw new UsageError('Too many arguments for rollback');
+          }
+          const count = rest.length ? parseId(rest[0], 'Number of migrations') : 1;
+          // Roll back to the id of the migration applied before the last n
+          const status = yield open().migrationStatus({ table, migrationsPath });
+          const applied = status.applied;
+          const force = count < applied.length ? applied[applied.length - count - 1].id : 0;
+          const report = yield db.migrate({
+            force,
+            table,
+            migrationsPath,
+            dryRun: !!options['dry-run'],
+          });
+          print(formatReport(report));
+          return OK;
+        }
+
+        case 'verify': {
+          if (rest.length) {
+            throw new UsageError('Too many arguments for verify');
+          }
+          // Reading the migrations also checks their files can be parsed
+          const status = yield open(true).migrationStatus({ table, migrationsPath });
+          const problems = [
+            ...status.drifted.map(({ id, name }) => `changed  ${id} ${name}`),
+            ...status.missing.map(({ id, name }) => `missing  ${id} ${name}`),
+          ];
+          if (problems.length) {
+            print(problems);
+            return FAILED;
+          }
+          print([`Verified ${status.applied.length} applied migrations.`]);
+          return OK;
+        }
+
+        default:
+          throw new UsageError(`Unknown command '${command}'`);
+      }
+    }
+    catch (err) {
+      if (err instanceof UsageError) {
+        stderr.write(`${err.message}\n\n${usage}`);
+        return USAGE;
+      }
+      const error = err instanceof Sqlite.AcquireTimeoutError && openError !== null
+                  ? openError
+                  : err;
+      stderr.write(`${error.message}\n`);
+      return FAILED;
+    }
+    finally {
+      if (db !== null) {
+        yield db.close();
+      }
+    }
+  });
+}
+
+run(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+}).catch((err) => {
+  // Eg failing to close the database
+  process.stderr.write(`${err.message}\n`);
+  process.exitCode = FAILED;
+});
@@ -0,0 +1,156 @@
+/**
+ * Pooled SQLite client library for Node.js
+ * Based on the node-sqlite library
+ *
+ * Copyright © 2017 Raymond Neilson. All rights reserved.
+ *
+ * Original work copyright © 2016 Kriasoft, LLC. All rights reserved.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+import sqlite3 from 'sqlite3';
+
+class SqliteError extends Error {
+
+  /**
+   * Initializes a new error with SQLite error code and query context.
+   * @param message Error message.
+   * @param errno Numeric SQLite error code, matching the constants on the Sqlite class.
+   * @param code String SQLite error code, eg 'SQLITE_ERROR'.
+   * @param sql SQL text of the query which failed, if any.
+   * @param params Parameters bound to the query which failed, if any.
+   */
+  constructor (message, { errno = sqlite3.ERROR, code = 'SQLITE_ERROR', sql, params } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.errno = errno;
+    this.code = code;
+    this.sql = sql;
+    this.params = params;
+  }
+
+}
+
+class BusyError extends SqliteError {}
+
+class ConstraintError extends SqliteError {
+
+  constructor (message, props) {
+    super(message, props);
+    const match = /(UNIQUE|FOREIGN KEY|CHECK|NOT NULL|PRIMARY KEY) constraint failed/.exec(message);
+    this.constraint = match !== null ? match[1] : null;
+  }
+
+}
+
+class AcquireTimeoutError extends SqliteError {
+
+  constructor (message, props) {
+    // Not an error from SQLite, so it isn't mistaken for a busy database and retried
+    super(message, Object.assign({ errno: null, code: 'ACQUIRE_TIMEOUT' }, props));
+  }
+
+}
+
+class TransactionError extends SqliteError {
+
+  constructor (message, props) {
+    super(message, Object.assign({ errno: sqlite3.MISUSE, code: 'SQLITE_MISUSE' }, props));
+  }
+
+}
+
+class QueryTimeoutError extends SqliteError {
+
+  constructor (message, props) {
+    super(message, Object.assign({ errno: sqlite3.INTERRUPT, code: 'SQLITE_INTERRUPT' }, props));
+  }
+
+}
+
+class AbortError extends SqliteError {
+
+  constructor (message, props) {
+    super(message, Object.assign({ errno: sqlite3.INTERRUPT, code: 'SQLITE_INTERRUPT' }, props));
+  }
+
+}
+
+class PoolClosedError extends SqliteError {
+
+  constructor (message, props) {
+    super(message, Object.assign({ errno: sqlite3.MISUSE, code: 'SQLITE_MISUSE' }, props));
+  }
+
+}
+
+function isParamsObject (params) {
+  return typeof params === 'object' && params !== null && !Buffer.isBuffer(params);
+}
+
+/**
+ * Returns bound parameters for reporting, redacted as configured.
+ */
+function redact (params, sql, redactParams) {
+  // A single bare parameter is bound as if in an array
+  const bound = params === undefined || isParamsObject(params) ? params : [params];
+
+  if (!redactParams || bound === undefined) {
+    return bound;
+  }
+  if (typeof redactParams === 'function') {
+    return redactParams(bound, sql);
+  }
+  // Keep shape of parameters, but not values
+  if (Array.isArray(bound)) {
+    return bound.map(() => '[redacted]');
+  }
+  return Object.keys(bound).reduce((obj, key) => {
+    obj[key] = '[redacted]'; // eslint-disable-line no-param-reassign
+    return obj;
+  }, {});
+}
+
+/**
+ * Wraps an error from the sqlite3 driver in the appropriate SqliteError subclass.
+ * Errors which are already wrapped, or did not come from SQLite, are returned as-is.
+ */
+function wrapError (err, sql, params, redactParams = false) {
+  if (err instanceof SqliteError ||
+      typeof err.errno !== 'number' ||
+      typeof err.code !== 'string' ||
+      err.code.indexOf('SQLITE_') !== 0) {
+    return err;
+  }
+
+  const props = {
+    errno: err.errno,
+    code: err.code,
+    sql,
+    params: redact(params, sql, redactParams),
+  };
+  switch (err.errno) {
+    case sqlite3.BUSY:
+    case sqlite3.LOCKED:
+      return new BusyError(err.message, props);
+    case sqlite3.CONSTRAINT:
+      return new ConstraintError(err.message, props);
+    default:
+      return new SqliteError(err.message, props);
+  }
+}
+
+export {
+  SqliteError,
+  BusyError,
+  ConstraintError,
+  AcquireTimeoutError,
+  TransactionError,
+  QueryTimeoutError,
+  AbortError,
+  PoolClosedError,
+  wrapError,
+  redact,
+};
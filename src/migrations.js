@@ -0,0 +1,241 @@
+/**
+ * Pooled SQLite client library for Node.js
+ * Based on the node-sqlite library
+ *
+ * Copyright © 2017 Raymond Neilson. All rights reserved.
+ *
+ * Original work copyright © 2016 Kriasoft, LLC. All rights reserved.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import Module from 'module';
+import path from 'path';
+import { tokenize, isLineComment, splitStatements } from './tokenizer';
+
+// Prefix for the up/down text stored for JavaScript migrations,
+// which can only be run from their files
+const jsMarker = '-- JavaScript migration\n';
+
+function isJsText (text) {
+  return text.indexOf(jsMarker) === 0;
+}
+
+/**
+ * Returns a hash of a migration's up and down text, for detecting changed files
+ */
+function checksum (up, down) {
+  return crypto.createHash('sha256').update(`${up}\0${down}`).digest('hex');
+}
+
+function readSqlMigration (migration, filename, Promise) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(filename, 'utf-8', (err, data) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      let tokens;
+      try {
+        tokens = tokenize(data);
+      }
+      catch (parseErr) {
+        reject(new Error(`The file ${migration.filename} could not be parsed: ${parseErr.message}`));
+        return;
+      }
+
+      // The first comment line starting with '-- down' separates the sections
+      const separator = tokens.findIndex(
+        x => isLineComment(x, data) && /^--\s+?down/i.test(x.text)
+      );
+      if (separator === -1) {
+        reject(new Error(
+          `The file ${migration.filename} is missing a '-- Down' separator.`
+        ));
+        return;
+      }
+      const up = tokens.slice(0, separator);
+      const down = tokens.slice(separator + 1);
+
+      // Remove comment lines and trim whitespaces for the recorded text,
+      // and split the up section into statements to run one at a time
+      // (migrations are undone using the recorded down text)
+      const strip = section => section
+        .map(x => (isLineComment(x, data) ? '' : x.text))
+        .join('')
+        .trim();
+      /* eslint-disable no-param-reassign */
+      migration.up = strip(up);
+      migration.down = strip(down);
+      migration.upStatements = splitStatements(up);
+      /* eslint-enable no-param-reassign */
+      resolve();
+    });
+  });
+}
+
+/**
+ * Loads a CommonJS module afresh, dropping any copy cached since it was last
+ * loaded so that changes to the file are seen. The module's own `require` is
+ * used, since a bare `require` isn't defined in the ES module build.
+ */
+function loadModule (filename) {
+  const createRequire = Module.createRequire || Module.createRequireFromPath;
+  const load = createRequire(filename);
+  delete load.cache[load.resolve(filename)];
+  return load(filename);
+}
+
+function readJsMigration (migration, filename, Promise) {
+  return new Promise((resolve) => {
+    const mod = loadModule(filename);
+    const { up, down } = mod.default || mod;
+    if (typeof up !== 'function' || typeof down !== 'function') {
+      throw new Error(
+        `The file ${migration.filename} must export 'up' and 'down' functions.`
+      );
+    }
+    /* eslint-disable no-param-reassign */
+    migration.upFn = up;
+    migration.downFn = down;
+    migration.up = `${jsMarker}${String(up)}`;
+    migration.down = `${jsMarker}${String(down)}`;
+    /* eslint-enable no-param-reassign */
+    resolve();
+  });
+}
+
+/**
+ * Lists the migration files in the given directory, sorted by id, without reading them
+ */
+function listMigrations (migrationsPath, Promise) {
+  const location = path.resolve(migrationsPath);
+
+  // Get the list of migration files, for example:
+  //   { id: 1, name: 'initial', filename: '001-initial.sql', type: 'sql' }
+  //   { id: 2, name: 'feature', filename: '002-feature.js', type: 'js' }
+  return new Promise((resolve, reject) => {
+    fs.readdir(location, (err, files) => {
+      if (err) {
+        reject(err);
+      }
+      else {
+        resolve(files
+          .map(x => x.match(/^(\d+).(.*?)\.(sql|js)$/))
+          .filter(x => x !== null)
+          .map(x => ({ id: Number(x[1]), name: x[2], filename: x[0], type: x[3] }))
+          .sort((a, b) => (a.id > b.id ? 1 : a.id < b.id ? -1 : 0)));
+      }
+    });
+  });
+}
+
+/**
+ * Reads and parses all migration files in the given directory, sorted by id
+ */
+function readMigrations (migrationsPath, Promise) {
+  const location = path.resolve(migrationsPath);
+
+  return listMigrations(location, Promise).then((migrations) => {
+    if (!migrations.length) {
+      throw new Error(`No migration files found in '${location}'.`);
+    }
+
+    migrations.reduce((prev, migration) => {
+      if (prev !== null && prev.id === migration.id) {
+        throw new Error(
+          `The files ${prev.filename} and ${migration.filename} have the same id.`
+        );
+      }
+      return migration;
+    }, null);
+
+    // Get the list of migrations, for example:
+    // { id: 1, name: 'initial', filename: '001-initial.sql', up, down, checksum }
+    // { id: 2, name: 'feature', filename: '002-feature.js', up, down, checksum, upFn, downFn }
+    return Promise.all(migrations.map((migration) => {
+      const filename = path.join(location, migration.filename);
+      return migration.type === 'js'
+           ? readJsMigration(migration, filename, Promise)
+           : readSqlMigration(migration, filename, Promise);
+    })).then(() => migrations.map(migration => Object.assign(migration, {
+      checksum: checksum(migration.up, migration.down),
+    })));
+  });
+}
+
+/**
+ * Splits recorded migration text into statements to run one at a time
+ */
+function parseStatements (text) {
+  return splitStatements(tokenize(text));
+}
+
+/**
+ * Adds the location of a failed statement within its migration to the error
+ */
+function locateError (err, source, statement) {
+  /* eslint-disable no-param-reassign */
+  err.message = `${source}, line ${statement.line}: ${err.message}`;
+  err.line = statement.line;
+  /* eslint-enable no-param-reassign */
+  return err;
+}
+
+/**
+ * Returns the applied migrations whose files have changed since they were run
+ */
+function findDrifted (migrations, applied) {
+  return migrations.filter(migration => applied.some(
+    x => x.id === migration.id && x.checksum !== migration.checksum
+  ));
+}
+
+/**
+ * Returns the applied migrations to undo (latest first) and the migrations
+ * to apply (earliest first) to bring the database to the requested version
+ */
+function planMigrations (migrations, applied, force) {
+  // Undo migrations that exist only in the database but not in files,
+  // also undo the last migration if the `force` option was set to `last`.
+  const lastMigration = migrations[migrations.length - 1];
+  const down = [];
+  const prev = applied
+                .slice()
+                .sort((a, b) => (a.id < b.id ? 1 : a.id > b.id ? -1 : 0));
+  for (const migration of prev) {
+    if (!migrations.some(x => x.id === migration.id) ||
+        (Number.isInteger(force) && migration.id > force) ||
+        (force === 'last' && migration.id === lastMigration.id)) {
+      down.push(migration);
+    }
+    else {
+      break;
+    }
+  }
+
+  // Apply pending migrations
+  const kept = applied.filter(x => down.indexOf(x) === -1);
+  const lastMigrationId = kept.length ? kept[kept.length - 1].id : 0;
+  const maxMigrationId = Number.isInteger(force) ? force : lastMigration.id;
+  const up = migrations.filter(
+    migration => migration.id > lastMigrationId && migration.id <= maxMigrationId
+  );
+
+  return { down, up };
+}
+
+export {
+  listMigrations,
+  readMigrations,
+  isJsText,
+  checksum,
+  parseStatements,
+  locateError,
+  findDrifted,
+  planMigrations,
+};
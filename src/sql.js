@@ -0,0 +1,79 @@
+/**
+ * Pooled SQLite client library for Node.js
+ * Based on the node-sqlite library
+ *
+ * Copyright © 2017 Raymond Neilson. All rights reserved.
+ *
+ * Original work copyright © 2016 Kriasoft, LLC. All rights reserved.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+class Sql {
+
+  /**
+   * Initializes a new SQL query or fragment, with placeholders in its text.
+   * @param text SQL text, with a `?` placeholder for each value.
+   * @param values Values to bind to the placeholders, in order.
+   */
+  constructor (text, values = []) {
+    this.text = text;
+    this.values = values;
+  }
+
+}
+
+/**
+ * Appends a value to the text and values of a query being built, inlining
+ * nested fragments and adding a placeholder for anything else.
+ */
+function append (query, value) {
+  if (value instanceof Sql) {
+    query.text += value.text; // eslint-disable-line no-param-reassign
+    query.values.push(...value.values);
+  }
+  else {
+    query.text += '?'; // eslint-disable-line no-param-reassign
+    query.values.push(value);
+  }
+}
+
+/**
+ * Tagged template building an Sql object, eg sql`SELECT * FROM t WHERE id = ${id}`.
+ */
+function sql (strings, ...values) {
+  const query = new Sql(strings[0]);
+  values.forEach((value, i) => {
+    append(query, value);
+    query.text += strings[i + 1];
+  });
+  return query;
+}
+
+/**
+ * Returns a fragment joining the given values and fragments with a separator, eg for IN lists.
+ */
+sql.join = function join (items, separator = ', ') {
+  const query = new Sql('');
+  const sep = separator instanceof Sql ? separator : new Sql(separator);
+  items.forEach((item, i) => {
+    if (i > 0) {
+      append(query, sep);
+    }
+    append(query, item);
+  });
+  return query;
+};
+
+/**
+ * Returns a fragment quoting the given identifier, or the parts of a qualified name.
+ */
+sql.id = function id (...names) {
+  if (!names.length || names.some(name => typeof name !== 'string' || !name.length)) {
+    throw new TypeError('Identifiers must be non-empty strings');
+  }
+  return new Sql(names.map(name => `"${name.replace(/"/g, '""')}"`).join('.'));
+};
+
+export { Sql, sql };
@@ -0,0 +1,156 @@
+/**
+ * Pooled SQLite client library for Node.js
+ * Based on the node-sqlite library
+ *
+ * Copyright © 2017 Raymond Neilson. All rights reserved.
+ *
+ * Original work copyright © 2016 Kriasoft, LLC. All rights reserved.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+// Closing character for each kind of quoted string or identifier
+const quotes = { "'": "'", '"': '"', '`': '`', '[': ']' };
+
+/**
+ * Splits SQL text into tokens, each with `type`, `text`, and `start` offset
+ * and 1-based `line` within the text. Types are 'space', 'comment' (line
+ * comments), 'block' (block comments), 'quoted' (strings and quoted
+ * identifiers), 'word' (keywords, identifiers and numbers) and 'symbol'.
+ */
+function tokenize (text) {
+  const tokens = [];
+  let pos = 0;
+  let line = 1;
+
+  while (pos < text.length) {
+    const ch = text[pos];
+    let end;
+    let type;
+
+    if (/\s/.test(ch)) {
+      type = 'space';
+      end = pos + 1;
+      while (end < text.length && /\s/.test(text[end])) {
+        end += 1;
+      }
+    }
+    else if (ch === '-' && text[pos + 1] === '-') {
+      // Up to but not including the line ending
+      type = 'comment';
+      end = text.slice(pos).search(/[\r\n]/);
+      end = end === -1 ? text.length : pos + end;
+    }
+    else if (ch === '/' && text[pos + 1] === '*') {
+      // SQLite allows a block comment to be left open at the end of input
+      type = 'block';
+      end = text.indexOf('*/', pos + 2);
+      end = end === -1 ? text.length : end + 2;
+    }
+    else if (ch in quotes) {
+      // Closing quotes are escaped by doubling them
+      type = 'quoted';
+      end = pos + 1;
+      for (;;) {
+        end = text.indexOf(quotes[ch], end);
+        if (end === -1) {
+          throw new Error(`Unterminated ${ch === "'" ? 'string' : 'identifier'} at line ${line}.`);
+        }
+        end += 1;
+        if (ch === '[' || text[end] !== quotes[ch]) {
+          break;
+        }
+        end += 1;
+      }
+    }
+    else if (/[\w$\u0080-\uffff]/.test(ch)) {
+      type = 'word';
+      end = pos + 1;
+      while (end < text.length && /[\w$\u0080-\uffff]/.test(text[end])) {
+        end += 1;
+      }
+    }
+    else {
+      type = 'symbol';
+      end = pos + 1;
+    }
+
+    const token = text.slice(pos, end);
+    tokens.push({ type, text: token, start: pos, line });
+    line += (token.match(/\n/g) || []).length;
+    pos = end;
+  }
+
+  return tokens;
+}
+
+/**
+ * Returns true if the token is a line comment starting at the beginning of a line.
+ */
+function isLineComment (token, text) {
+  return token.type === 'comment' && (token.start === 0 || text[token.start - 1] === '\n');
+}
+
+function isIgnored (token) {
+  return token.type === 'space' || token.type === 'comment' || token.type === 'block';
+}
+
+/**
+ * Splits tokens of SQL text into statements, each with its `text` (including
+ * the closing semicolon, if any) and the `line` on which it starts. Semicolons
+ * within the BEGIN...END body of a CREATE TRIGGER statement are kept in it.
+ */
+function splitStatements (tokens) {
+  const statements = [];
+  let current = [];
+  let words = [];
+  let blocks = 0;
+
+  const finish = () => {
+    if (current.length) {
+      statements.push({
+        text: current.map(x => x.text).join(''),
+        line: current[0].line,
+      });
+    }
+    current = [];
+    words = [];
+    blocks = 0;
+  };
+
+  for (const token of tokens) {
+    // Skip whitespace and comments between statements
+    if (current.length || !isIgnored(token)) {
+      current.push(token);
+    }
+
+    if (token.type === 'word') {
+      const word = token.text.toUpperCase();
+      words.push(word);
+      // CREATE [TEMP|TEMPORARY] TRIGGER bodies are delimited by BEGIN and END,
+      // and may contain CASE...END expressions
+      const trigger = words[0] === 'CREATE' &&
+                      (words[1] === 'TRIGGER' || words[2] === 'TRIGGER');
+      if (trigger && (word === 'BEGIN' || word === 'CASE')) {
+        blocks += 1;
+      }
+      else if (trigger && word === 'END' && blocks > 0) {
+        blocks -= 1;
+      }
+    }
+    else if (token.type === 'symbol' && token.text === ';' && blocks === 0) {
+      finish();
+    }
+  }
+
+  // Drop trailing whitespace and comments from a final statement without a semicolon
+  while (current.length && isIgnored(current[current.length - 1])) {
+    current.pop();
+  }
+  finish();
+
+  return statements;
+}
+
+export { tokenize, isLineComment, splitStatements };
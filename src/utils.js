@@ -10,7 +10,22 @@
  * LICENSE.txt file in the root directory of this source tree.
  */
 
-function prepareParams (args, requireCallback = false) {
+import { Sql } from './sql';
+
+/**
+ * Returns the SQL text of a query given as a string or an Sql object.
+ */
+function queryText (query) {
+  return query instanceof Sql ? query.text : query;
+}
+
+/**
+ * Returns the parameters to bind from the remaining arguments of a query method,
+ * and the callback if required. Parameters may be given as separate arguments,
+ * as a single array or object, or as an Sql object, either as the only argument
+ * or as the query itself (in which case no other parameters may be given).
+ */
+function prepareParams (args, requireCallback = false, query = undefined) {
   let callback;
   if (requireCallback) {
     if (args.length < 1) {
@@ -18,10 +33,28 @@ function prepareParams (args, requireCallback = false) {
     }
     callback = args.pop();
   }
-  const params = args.length === 1 ? args[0] : args;
+  if (query instanceof Sql && args.length) {
+    throw new Error('Parameters cannot be given separately from an Sql query');
+  }
+  const params = query instanceof Sql ? query.values
+               : args.length === 1 ? (args[0] instanceof Sql ? args[0].values : args[0])
+               : args;
   return callback ? [params, callback] : params;
 }
 
+/**
+ * Splits a query given as an object with its cancellation options, eg
+ * { sql, timeout, signal }, into the SQL (a string or an Sql object)
+ * and the options. Other queries are returned with empty options.
+ */
+function queryOptions (query) {
+  if (typeof query !== 'object' || query === null || query instanceof Sql) {
+    return [query, {}];
+  }
+  const { sql, timeout, signal } = query;
+  return [sql, { timeout, signal }];
+}
+
 function isThenable (obj) {
   return obj !== undefined &&
          obj !== null &&
@@ -30,6 +63,12 @@ function isThenable (obj) {
          typeof obj.then === 'function';
 }
 
+function isGeneratorFunction (fn) {
+  return typeof fn === 'function' &&
+         fn.constructor !== undefined &&
+         fn.constructor.name === 'GeneratorFunction';
+}
+
 function asyncRunner (Promise = global.Promise) {
   return function runAsync (fn, ...args) {
     const gen = fn.apply(this, args);
@@ -61,4 +100,87 @@ function asyncRunner (Promise = global.Promise) {
   };
 }
 
-export { prepareParams, isThenable, asyncRunner };
+function retryPolicy (base, retry) {
+  // Shorthand for number of attempts, or false/0 to disable retries
+  if (retry === undefined || retry === null || retry === true) {
+    return base;
+  }
+  if (retry === false) {
+    return Object.assign({}, base, { attempts: 1 });
+  }
+  if (typeof retry === 'number') {
+    return Object.assign({}, base, { attempts: Math.max(retry, 1) });
+  }
+  return Object.assign({}, base, retry);
+}
+
+function retryDelay ({ delay, maxDelay, factor, jitter }, attempt) {
+  // Exponential backoff, capped, then reduced by up to jitter fraction
+  const backoff = Math.min(delay * (factor ** (attempt - 1)), maxDelay);
+  return Math.round(backoff * (1 - (jitter * Math.random())));
+}
+
+function formatPragma (name, value) {
+  // Allow schema-qualified names, eg 'main.cache_size'
+  if (!/^([A-Za-z_]\w*\.)?[A-Za-z_]\w*$/.test(name)) {
+    throw new Error(`Invalid pragma name '${name}'`);
+  }
+
+  let formatted;
+  if (typeof value === 'boolean') {
+    formatted = value ? 'ON' : 'OFF';
+  }
+  else if (typeof value === 'number' && Number.isFinite(value)) {
+    formatted = String(value);
+  }
+  else if (typeof value === 'string') {
+    // Keywords (eg NORMAL, MEMORY) as-is, anything else quoted
+    formatted = /^[A-Za-z_]\w*$/.test(value) ? value : `'${value.replace(/'/g, "''")}'`;
+  }
+  else {
+    throw new Error(`Invalid value for pragma '${name}'`);
+  }
+
+  return `PRAGMA ${name} = ${formatted};`;
+}
+
+/**
+ * Returns 'private' for a database which exists only for the connection
+ * opening it (in-memory and anonymous databases), 'shared' for an in-memory
+ * database shared by connections (eg 'file:name?mode=memory&cache=shared'),
+ * or null for a database file.
+ */
+function memoryDatabase (filename) {
+  if (filename === '' || filename === ':memory:') {
+    return 'private';
+  }
+  const match = /^file:([^?#]*)(?:\?([^#]*))?/.exec(filename);
+  if (match === null) {
+    return null;
+  }
+  const query = `&${match[2] || ''}&`;
+  if (match[1] !== ':memory:' && query.indexOf('&mode=memory&') === -1) {
+    return null;
+  }
+  return query.indexOf('&cache=shared&') !== -1 ? 'shared' : 'private';
+}
+
+function elapsed (start) {
+  // Milliseconds since the given process.hrtime()
+  const [seconds, nanoseconds] = process.hrtime(start);
+  return (seconds * 1e3) + (nanoseconds / 1e6);
+}
+
+export {
+  queryText,
+  prepareParams,
+  queryOptions,
+  isThenable,
+  isGeneratorFunction,
+  asyncRunner,
+  retryPolicy,
+  retryDelay,
+  formatPragma,
+  memoryDatabase,
+  elapsed,
+};
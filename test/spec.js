@@ -10,9 +10,57 @@
  * LICENSE.txt file in the root directory of this source tree.
  */
 
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const Sqlite = require('../build/main');
 const expect = require('chai').expect;
 
+// Remove a database file along with its journal files
+function removeFile (filename) {
+  for (const file of [filename, `${filename}-wal`, `${filename}-shm`, `${filename}-journal`]) {
+    try {
+      fs.unlinkSync(file);
+    }
+    catch (err) {
+      // Ignore missing files
+    }
+  }
+}
+
+// Get a fresh database filename in the temp directory
+function tempFile (name) {
+  const filename = path.join(os.tmpdir(), `sqlite-pool-test-${process.pid}-${name}.db`);
+  removeFile(filename);
+  return filename;
+}
+
+// Remove a directory and the files in it
+function removeDir (dirname) {
+  if (fs.existsSync(dirname)) {
+    fs.readdirSync(dirname).forEach(file => fs.unlinkSync(path.join(dirname, file)));
+    fs.rmdirSync(dirname);
+  }
+}
+
+// Create a fresh directory in the temp directory containing the given files
+function tempDir (name, files = {}) {
+  const dirname = path.join(os.tmpdir(), `sqlite-pool-test-${process.pid}-${name}`);
+  removeDir(dirname);
+  fs.mkdirSync(dirname);
+  Object.keys(files).forEach(file => fs.writeFileSync(path.join(dirname, file), files[file]));
+  return dirname;
+}
+
+// Run a function on each of a number of pooled connections, holding
+// them all at once so that each is used, and resolve with the results
+function onEach (db, count, fn) {
+  return Promise.all(Array.from({ length: count }, () => db.use(conn => (
+    new Promise(resolve => setTimeout(resolve, 20)).then(() => fn(conn))
+  ))));
+}
+
 it('Should open a database connection', (done) => {
   const db = new Sqlite(':memory:');
   let p = Promise.resolve();
@@ -197,3 +245,1361 @@ it('Should migrate the database', (done) => {
   p = p.then(() => db.close());
   p.then(done, done);
 });
+
+it('Should nest transactions using savepoints', (done) => {
+  const db = new Sqlite(':memory:');
+  let p = Promise.resolve();
+  p = p.then(() => db.exec('CREATE TABLE tbl (col TEXT)'));
+  p = p.then(() => db.transaction(trx => trx.run('INSERT INTO tbl VALUES ("outer")')
+    .then(() => trx.transaction(sp => sp.run('INSERT INTO tbl VALUES ("released")')))
+    .then(() => trx.transaction(sp => sp.run('INSERT INTO tbl VALUES ("rolled back")')
+      .then(() => sp.transactionAsync(function* nestedAsync (inner) {
+        yield inner.run('INSERT INTO tbl VALUES ("inner")');
+        throw new Error('Inner failure');
+      })))
+      .then(() => {
+        throw new Error('Nested transaction should have been rejected');
+      }, (err) => {
+        expect(err.message).to.equal('Inner failure');
+      }))));
+  p = p.then(() => db.all('SELECT col FROM tbl').then((result) => {
+    expect(result).to.be.deep.equal([{ col: 'outer' }, { col: 'released' }]);
+  }));
+  p = p.then(() => db.transaction(trx => trx.transaction(sp => sp.run('INSERT INTO tbl VALUES ("lost")'))
+    .then(() => {
+      throw new Error('Outer failure');
+    })).then(() => {
+      throw new Error('Transaction should have been rejected');
+    }, (err) => {
+      expect(err.message).to.equal('Outer failure');
+    }));
+  p = p.then(() => db.get('SELECT COUNT(*) AS count FROM tbl').then((result) => {
+    expect(result.count).to.equal(2);
+  }));
+  p = p.then(() => db.close());
+  p.then(done, done);
+});
+
+it('Should retry busy transactions', (done) => {
+  const db = new Sqlite(':memory:', { trxRetry: { attempts: 3, delay: 1 } });
+  const retries = [];
+  let calls = 0;
+  db.on('retry', (err, attempt) => retries.push(attempt));
+  let p = Promise.resolve();
+  p = p.then(() => db.exec('CREATE TABLE tbl (col TEXT)'));
+  p = p.then(() => db.transaction((trx) => {
+    calls += 1;
+    return trx.run('INSERT INTO tbl VALUES (?)', `attempt ${calls}`).then(() => {
+      if (calls < 3) {
+        const err = new Error('SQLITE_BUSY: database is locked');
+        err.errno = Sqlite.BUSY;
+        throw err;
+      }
+    });
+  }));
+  p = p.then(() => db.all('SELECT col FROM tbl').then((result) => {
+    expect(calls).to.equal(3);
+    expect(retries).to.be.deep.equal([1, 2]);
+    expect(result).to.be.deep.equal([{ col: 'attempt 3' }]);
+  }));
+  p = p.then(() => db.transaction(() => {
+    calls += 1;
+    const err = new Error('SQLITE_LOCKED: database table is locked');
+    err.errno = Sqlite.LOCKED;
+    throw err;
+  }, true, false).then(() => {
+    throw new Error('Transaction should have been rejected');
+  }, (err) => {
+    expect(err.errno).to.equal(Sqlite.LOCKED);
+    expect(calls).to.equal(4);
+  }));
+  p = p.then(() => db.transaction(() => {
+    calls += 1;
+    throw new Error('Not busy');
+  }).then(() => {
+    throw new Error('Transaction should have been rejected');
+  }, (err) => {
+    expect(err.message).to.equal('Not busy');
+    expect(calls).to.equal(5);
+  }));
+  p = p.then(() => db.close());
+  p.then(done, done);
+});
+
+it('Should route reads and writes in single-writer mode', (done) => {
+  const filename = tempFile('single-writer');
+  const db = new Sqlite(filename, { singleWriter: true, min: 2, max: 2 });
+  let p = Promise.resolve();
+  p = p.then(() => db.exec('CREATE TABLE tbl (col TEXT)'));
+  p = p.then(() => Promise.all([1, 2, 3].map(n => db.transaction(trx => trx.run(
+    'INSERT INTO tbl VALUES (?)', `row ${n}`
+  )))));
+  p = p.then(() => Promise.all([
+    db.all('SELECT col FROM tbl ORDER BY col'),
+    db.get('SELECT COUNT(*) AS count FROM tbl'),
+    db.read(conn => conn.get('PRAGMA query_only')),
+    db.write(conn => conn.get('PRAGMA query_only')),
+  ]).then(([rows, count, readOnly, writable]) => {
+    expect(rows).to.be.deep.equal([{ col: 'row 1' }, { col: 'row 2' }, { col: 'row 3' }]);
+    expect(count).to.be.deep.equal({ count: 3 });
+    expect(readOnly).to.be.deep.equal({ query_only: 1 });
+    expect(writable).to.be.deep.equal({ query_only: 0 });
+  }));
+  p = p.then(() => db.read(conn => conn.run('DELETE FROM tbl')).then(() => {
+    throw new Error('Write on read-only connection should have been rejected');
+  }, (err) => {
+    expect(err.errno).to.equal(Sqlite.READONLY);
+  }));
+  p = p.then(() => db.close());
+  p = p.then(() => removeFile(filename));
+  p.then(done, done);
+});
+
+it('Should accept async and generator functions', (done) => {
+  const db = new Sqlite(':memory:');
+  let p = Promise.resolve();
+  p = p.then(() => db.use(async (conn) => {
+    await conn.exec('CREATE TABLE tbl (col TEXT)');
+    await conn.run('INSERT INTO tbl VALUES (?)', 'use');
+    return conn.get('SELECT COUNT(*) AS count FROM tbl');
+  }).then((result) => {
+    expect(result).to.be.deep.equal({ count: 1 });
+  }));
+  p = p.then(() => db.use(function* useGenerator (conn) {
+    yield conn.run('INSERT INTO tbl VALUES (?)', 'generator');
+    return (yield conn.get('SELECT COUNT(*) AS count FROM tbl')).count;
+  }).then((result) => {
+    expect(result).to.equal(2);
+  }));
+  p = p.then(() => db.transaction(async (trx) => {
+    await trx.run('INSERT INTO tbl VALUES (?)', 'transaction');
+    await trx.transaction(function* nestedGenerator (sp) {
+      yield sp.run('INSERT INTO tbl VALUES (?)', 'nested');
+    });
+    throw new Error('Rollback');
+  }).then(() => {
+    throw new Error('Transaction should have been rejected');
+  }, (err) => {
+    expect(err.message).to.equal('Rollback');
+  }));
+  p = p.then(() => db.all('SELECT col FROM tbl').then((result) => {
+    expect(result).to.be.deep.equal([{ col: 'use' }, { col: 'generator' }]);
+  }));
+  p = p.then(() => db.close());
+  p.then(done, done);
+});
+
+it('Should iterate over rows one at a time', (done) => {
+  const db = new Sqlite(':memory:');
+  let p = Promise.resolve();
+  p = p.then(() => db.exec(`CREATE TABLE tbl (col INTEGER);
+    INSERT INTO tbl VALUES (1), (2), (3), (4), (5);`));
+  p = p.then(async () => {
+    // Equivalent to for-await-of loop
+    const rows = [];
+    const iterator = db.iterate('SELECT col FROM tbl WHERE col > ?', 1)[Symbol.asyncIterator]();
+    for (let result = await iterator.next(); !result.done; result = await iterator.next()) {
+      rows.push(result.value.col);
+    }
+    expect(rows).to.be.deep.equal([2, 3, 4, 5]);
+  });
+  p = p.then(async () => {
+    // Abandoning iteration should release the connection
+    const rows = [];
+    const iterator = db.iterate('SELECT col FROM tbl');
+    for (let result = await iterator.next(); !result.done; result = await iterator.next()) {
+      rows.push(result.value.col);
+      if (rows.length === 2) {
+        await iterator.return();
+      }
+    }
+    expect(rows).to.be.deep.equal([1, 2]);
+    expect(await db.get('SELECT COUNT(*) AS count FROM tbl')).to.be.deep.equal({ count: 5 });
+  });
+  p = p.then(() => {
+    const iterator = db.iterate('SELECT col FROM nonexistent');
+    return iterator.next().then(() => {
+      throw new Error('Iterating invalid query should have been rejected');
+    }, (err) => {
+      expect(err.errno).to.equal(Sqlite.ERROR);
+      return iterator.next();
+    }).then((result) => {
+      expect(result.done).to.equal(true);
+    });
+  });
+  p = p.then(() => new Promise((resolve, reject) => {
+    const rows = [];
+    db.iterate('SELECT col FROM tbl WHERE col <= ?', 3).stream()
+      .on('data', row => rows.push(row.col))
+      .on('error', reject)
+      .on('end', () => {
+        expect(rows).to.be.deep.equal([1, 2, 3]);
+        resolve();
+      });
+  }));
+  p = p.then(() => db.use(async (conn) => {
+    const iterator = conn.iterate('SELECT col FROM tbl');
+    expect(await iterator.next()).to.be.deep.equal({ value: { col: 1 }, done: false });
+    expect(await iterator.return()).to.be.deep.equal({ value: undefined, done: true });
+    expect(await iterator.next()).to.be.deep.equal({ value: undefined, done: true });
+  }));
+  p = p.then(() => db.close());
+  p.then(done, done);
+});
+
+it('Should cache prepared statements per connection', (done) => {
+  const db = new Sqlite(':memory:', { stmtCacheSize: 2 });
+  const insert = 'INSERT INTO tbl VALUES (?)';
+  let p = Promise.resolve();
+  p = p.then(() => db.exec('CREATE TABLE tbl (col TEXT)'));
+  p = p.then(() => Promise.all([
+    db.run(insert, 'a'),
+    db.run(insert, 'b'),
+  ]).then(([first, second]) => {
+    expect(first).to.be.an.instanceof(Sqlite.Statement);
+    expect(first.sql).to.equal(insert);
+    expect([first.lastID, second.lastID]).to.be.deep.equal([1, 2]);
+    expect(db.cacheStats()).to.be.deep.equal({ hits: 1, misses: 1 });
+  }));
+  p = p.then(() => db.get('SELECT col FROM tbl ORDER BY col'));
+  p = p.then(() => db.get('SELECT col FROM tbl ORDER BY col').then((result) => {
+    // Cursor should be reset between uses
+    expect(result).to.be.deep.equal({ col: 'a' });
+  }));
+  p = p.then(() => db.all('SELECT col FROM nonexistent').then(() => {
+    throw new Error('Query should have been rejected');
+  }, (err) => {
+    expect(err.errno).to.equal(Sqlite.ERROR);
+  }));
+  p = p.then(() => db.use((conn) => {
+    // Failed statement is not cached, and doesn't evict others
+    expect(conn.statementCache.size).to.equal(2);
+    expect(conn.statementCache.capacity).to.equal(2);
+    return conn.transaction(trx => trx.all('SELECT col FROM tbl ORDER BY col'));
+  }).then((result) => {
+    expect(result).to.be.deep.equal([{ col: 'a' }, { col: 'b' }]);
+    expect(db.cacheStats()).to.be.deep.equal({ hits: 3, misses: 3 });
+  }));
+  p = p.then(() => db.run(insert, 'c').then((result) => {
+    expect(result.lastID).to.equal(3);
+    expect(db.cacheStats()).to.be.deep.equal({ hits: 4, misses: 3 });
+  }));
+  p = p.then(() => db.get('SELECT ? AS col', 'bound'));
+  p = p.then(() => db.get('SELECT ? AS col').then((result) => {
+    // Parameters should be cleared between uses
+    expect(result).to.be.deep.equal({ col: null });
+  }));
+  p = p.then(() => db.close());
+  p.then(done, done);
+});
+
+it('Should wrap errors with codes and query context', (done) => {
+  const db = new Sqlite(':memory:', { acquireTimeout: 50 });
+  let p = Promise.resolve();
+  p = p.then(() => db.exec(`CREATE TABLE tbl (
+    id INTEGER PRIMARY KEY, col TEXT NOT NULL UNIQUE, CHECK (col <> 'bad')
+  )`));
+  p = p.then(() => db.run('INSERT INTO tbl (col) VALUES (?)', 'a'));
+  p = p.then(() => db.run('INSERT INTO tbl (col) VALUES (?)', 'a').then(() => {
+    throw new Error('Insert should have been rejected');
+  }, (err) => {
+    expect(err).to.be.an.instanceof(Sqlite.ConstraintError);
+    expect(err).to.be.an.instanceof(Sqlite.SqliteError);
+    expect(err.errno).to.equal(Sqlite.CONSTRAINT);
+    expect(err.code).to.equal('SQLITE_CONSTRAINT');
+    expect(err.constraint).to.equal('UNIQUE');
+    expect(err.sql).to.equal('INSERT INTO tbl (col) VALUES (?)');
+    expect(err.params).to.be.deep.equal(['a']);
+  }));
+  p = p.then(() => db.use(conn => conn.prepare('INSERT INTO tbl (col) VALUES ($col)')
+    .then(stmt => stmt.run({ $col: 'bad' }).then(() => {
+      throw new Error('Insert should have been rejected');
+    }, (err) => {
+      expect(err).to.be.an.instanceof(Sqlite.ConstraintError);
+      expect(err.constraint).to.equal('CHECK');
+      expect(err.sql).to.equal('INSERT INTO tbl (col) VALUES ($col)');
+      expect(err.params).to.be.deep.equal({ $col: 'bad' });
+      return stmt.finalize();
+    }))));
+  p = p.then(() => db.get('SELECT * FROM nonexistent').then(() => {
+    throw new Error('Query should have been rejected');
+  }, (err) => {
+    expect(err).to.be.an.instanceof(Sqlite.SqliteError);
+    expect(err.errno).to.equal(Sqlite.ERROR);
+  }));
+  p = p.then(() => db.use(conn => conn.transaction(() => conn.run('SELECT 1')))
+    .then(() => {
+      throw new Error('Query should have been rejected');
+    }, (err) => {
+      expect(err).to.be.an.instanceof(Sqlite.TransactionError);
+      expect(err.errno).to.equal(Sqlite.MISUSE);
+    }));
+  p = p.then(() => db.use(() => db.get('SELECT 1').then(() => {
+    throw new Error('Acquire should have been rejected');
+  }, (err) => {
+    expect(err).to.be.an.instanceof(Sqlite.AcquireTimeoutError);
+    expect(err.errno).to.equal(null);
+    expect(err.code).to.equal('ACQUIRE_TIMEOUT');
+  })));
+  p = p.then(() => {
+    // Acquire timeouts aren't retried as if the database were busy
+    const retries = [];
+    db.on('retry', (err, attempt) => retries.push(attempt));
+    return db.use(() => db.transaction(trx => trx.get('SELECT 1'), true, 3)).then(() => {
+      throw new Error('Acquire should have been rejected');
+    }, (err) => {
+      expect(err).to.be.an.instanceof(Sqlite.AcquireTimeoutError);
+      expect(retries).to.be.deep.equal([]);
+    });
+  });
+  p = p.then(() => db.close());
+  p.then(done, done);
+});
+
+it('Should redact error parameters', (done) => {
+  const db = new Sqlite(':memory:', { redactParams: true });
+  let p = Promise.resolve();
+  p = p.then(() => db.exec('CREATE TABLE tbl (col TEXT NOT NULL)'));
+  p = p.then(() => db.run('INSERT INTO tbl VALUES (?)', null).then(() => {
+    throw new Error('Insert should have been rejected');
+  }, (err) => {
+    expect(err).to.be.an.instanceof(Sqlite.ConstraintError);
+    expect(err.constraint).to.equal('NOT NULL');
+    expect(err.params).to.be.deep.equal(['[redacted]']);
+  }));
+  p = p.then(() => db.close());
+  p.then(done, done);
+});
+
+it('Should emit query lifecycle events', (done) => {
+  const db = new Sqlite(':memory:', { slowQueryThreshold: 0 });
+  const started = [];
+  const ended = [];
+  const slow = [];
+  let p = Promise.resolve();
+  p = p.then(() => db.exec('CREATE TABLE tbl (col TEXT)'));
+  p = p.then(() => {
+    db.on('query', info => started.push(info));
+    db.on('queryEnd', info => ended.push(info));
+    db.on('slowQuery', info => slow.push(info));
+  });
+  p = p.then(() => db.transaction(trx => trx.run('INSERT INTO tbl VALUES (?)', 'a')));
+  p = p.then(() => db.all('SELECT col FROM tbl WHERE col = ?', 'a').then(() => {
+    // Explained before the query settles and its connection is released
+    expect(slow.map(info => info.sql)).to.contain('SELECT col FROM tbl WHERE col = ?');
+  }));
+  p = p.then(() => db.get('SELECT * FROM nonexistent').catch(() => {}));
+  p = p.then(() => db.use(conn => conn.wait()));
+  p = p.then(() => {
+    expect(started.map(info => info.sql)).to.be.deep.equal([
+      'BEGIN IMMEDIATE',
+      'INSERT INTO tbl VALUES (?)',
+      'COMMIT',
+      'SELECT col FROM tbl WHERE col = ?',
+      'SELECT * FROM nonexistent',
+    ]);
+    expect(ended).to.have.length(5);
+    const [, insert, , select, failed] = ended;
+    expect(insert.method).to.equal('run');
+    expect(insert.params).to.be.deep.equal(['a']);
+    expect(insert.rowCount).to.equal(1);
+    expect(insert.inTransaction).to.equal(true);
+    expect(insert.connectionId).to.equal(1);
+    expect(insert.duration).to.be.a('number');
+    expect(select.method).to.equal('all');
+    expect(select.rowCount).to.equal(1);
+    expect(select.inTransaction).to.equal(false);
+    expect(select.error).to.equal(null);
+    expect(failed.error).to.be.an.instanceof(Sqlite.SqliteError);
+    const slowSelect = slow.find(info => info.sql === select.sql);
+    expect(slowSelect.plan).to.be.an('array');
+    expect(slowSelect.plan[0].detail).to.contain('tbl');
+  });
+  p = p.then(() => db.close());
+  p.then(done, done);
+});
+
+it('Should report pool and connection metrics', (done) => {
+  const db = new Sqlite(':memory:');
+  let p = Promise.resolve();
+  p = p.then(() => db.exec('CREATE TABLE tbl (col TEXT UNIQUE)'));
+  p = p.then(() => db.transaction(trx => trx.run('INSERT INTO tbl VALUES (?)', 'a')));
+  p = p.then(() => db.transaction(trx => trx.run('INSERT INTO tbl VALUES (?)', 'a'))
+    .catch(() => {}));
+  p = p.then(() => db.use((conn) => {
+    const stats = db.stats();
+    expect(stats.pool).to.be.deep.equal({
+      size: 1, available: 0, borrowed: 1, pending: 0, min: 1, max: 1,
+    });
+    return conn.transaction(() => {});
+  }));
+  p = p.then(() => {
+    const stats = db.stats();
+    expect(stats.acquires.count).to.equal(4);
+    expect(stats.acquires.timeouts).to.equal(0);
+    expect(stats.acquires.waitTime.count).to.equal(4);
+    expect(stats.acquires.waitTime.buckets[stats.acquires.waitTime.buckets.length - 1])
+      .to.be.deep.equal({ le: 5000, count: 4 });
+    expect(stats.transactions).to.be.deep.equal({ committed: 2, rolledBack: 1 });
+    expect(stats.errors).to.be.deep.equal({ SQLITE_CONSTRAINT: 1 });
+
+    const text = db.prometheus('test');
+    expect(text).to.contain('# TYPE test_acquire_wait_milliseconds histogram\n');
+    expect(text).to.contain('test_acquire_wait_milliseconds_bucket{le="+Inf"} 4\n');
+    expect(text).to.contain('test_transactions_total{outcome="rolled_back"} 1\n');
+    expect(text).to.contain('test_errors_total{code="SQLITE_CONSTRAINT"} 1\n');
+    expect(text).to.contain('test_connections{state="available"} ');
+  });
+  p = p.then(() => db.close());
+  p.then(done, done);
+});
+
+it('Should configure pragmas and run connection hook', (done) => {
+  const connected = [];
+  const db = new Sqlite(':memory:', {
+    pragmas: { synchronous: 'NORMAL', cache_size: -4000, temp_store: 'MEMORY' },
+    onConnect: async (conn, { readOnly }) => {
+      connected.push(readOnly);
+      await conn.exec('CREATE TEMP VIEW answer AS SELECT 42 AS value');
+    },
+  });
+  let p = Promise.resolve();
+  p = p.then(() => Promise.all([
+    db.get('PRAGMA synchronous'),
+    db.get('PRAGMA cache_size'),
+    db.get('PRAGMA temp_store'),
+    db.get('SELECT value FROM answer'),
+  ]).then((results) => {
+    expect(results).to.be.deep.equal([
+      { synchronous: 1 },
+      { cache_size: -4000 },
+      { temp_store: 2 },
+      { value: 42 },
+    ]);
+    expect(connected).to.be.deep.equal([false]);
+  }));
+  p = p.then(() => db.close());
+  p.then(done, done);
+});
+
+it('Should reject connections failing the connection hook', (done) => {
+  const errors = [];
+  const db = new Sqlite(':memory:', {
+    acquireTimeout: 100,
+    onConnect: conn => conn.exec('SELECT * FROM nonexistent'),
+  });
+  db.on('error', err => errors.push(err));
+  let p = Promise.resolve();
+  p = p.then(() => db.get('SELECT 1').then(() => {
+    throw new Error('Acquire should have been rejected');
+  }, (err) => {
+    expect(err).to.be.an.instanceof(Sqlite.AcquireTimeoutError);
+    expect(errors).to.have.length.above(0);
+    expect(errors[0]).to.be.an.instanceof(Sqlite.SqliteError);
+    expect(errors[0].message).to.contain('no such table');
+    expect(db.stats().pool.available).to.equal(0);
+  }));
+  p = p.then(() => db.close());
+  p.then(done, done);
+});
+
+it('Should migrate the database with JavaScript migrations', (done) => {
+  const migrationsPath = tempDir('js-migrations', {
+    '001-initial.sql': `-- Up
+CREATE TABLE Item (id INTEGER PRIMARY KEY, name TEXT NOT NULL);
+INSERT INTO Item (name) VALUES ('one'), ('two');
+-- Down
+DROP TABLE Item;
+`,
+    '002-backfill.js': `
+exports.up = async (trx) => {
+  await trx.exec('ALTER TABLE Item ADD COLUMN upper TEXT');
+  const items = await trx.all('SELECT id, name FROM Item');
+  for (const item of items) {
+    await trx.run('UPDATE Item SET upper = ? WHERE id = ?', item.name.toUpperCase(), item.id);
+  }
+};
+
+exports.down = function* down (trx) {
+  yield trx.exec('CREATE TABLE ItemCopy AS SELECT id, name FROM Item');
+  yield trx.exec('DROP TABLE Item');
+  yield trx.exec('ALTER TABLE ItemCopy RENAME TO Item');
+};
+`,
+    '003-more.sql': `-- Up
+INSERT INTO Item (name) VALUES ('three');
+-- Down
+DELETE FROM Item WHERE name = 'three';
+`,
+  });
+  const db = new Sqlite(':memory:');
+  let p = Promise.resolve();
+  p = p.then(() => db.migrate({ migrationsPath }));
+  p = p.then(() => db.all('SELECT id, name FROM migrations').then((result) => {
+    expect(result).to.be.deep.equal([
+      { id: 1, name: 'initial' }, { id: 2, name: 'backfill' }, { id: 3, name: 'more' },
+    ]);
+  }));
+  p = p.then(() => db.all('SELECT name, upper FROM Item').then((result) => {
+    expect(result).to.be.deep.equal([
+      { name: 'one', upper: 'ONE' }, { name: 'two', upper: 'TWO' }, { name: 'three', upper: null },
+    ]);
+  }));
+  p = p.then(() => db.migrate({ migrationsPath, force: 1 }));
+  p = p.then(() => db.all('SELECT * FROM Item').then((result) => {
+    expect(result).to.be.deep.equal([{ id: 1, name: 'one' }, { id: 2, name: 'two' }]);
+  }));
+  p = p.then(() => db.migrate({ migrationsPath }));
+  p = p.then(() => {
+    // Changes to a JavaScript migration already loaded are seen
+    const file = path.join(migrationsPath, '002-backfill.js');
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf-8').replace('toUpperCase', 'toLocaleUpperCase'));
+    return db.migrationStatus({ migrationsPath });
+  });
+  p = p.then((status) => {
+    expect(status.drifted).to.be.deep.equal([{ id: 2, name: 'backfill' }]);
+  });
+  p = p.then(() => db.migrate({ migrationsPath, repair: true }));
+  p = p.then(() => {
+    // JavaScript migration can't be undone once its file is removed,
+    // and nothing is undone before finding that out
+    fs.unlinkSync(path.join(migrationsPath, '002-backfill.js'));
+    fs.unlinkSync(path.join(migrationsPath, '003-more.sql'));
+    return db.migrate({ migrationsPath }).then(() => {
+      throw new Error('Migration should have been rejected');
+    }, (err) => {
+      expect(err.message).to.contain("Cannot undo JavaScript migration 2 'backfill'");
+    });
+  });
+  p = p.then(() => db.all('SELECT id FROM migrations').then((result) => {
+    expect(result).to.be.deep.equal([{ id: 1 }, { id: 2 }, { id: 3 }]);
+  }));
+  p = p.then(() => db.close());
+  p = p.then(() => removeDir(migrationsPath));
+  p.then(done, done);
+});
+
+it('Should detect and repair changed migrations', (done) => {
+  const initial = `-- Up
+CREATE TABLE Item (id INTEGER PRIMARY KEY, name TEXT);
+-- Down
+DROP TABLE Item;
+`;
+  const migrationsPath = tempDir('drift-migrations', {
+    '001-initial.sql': initial,
+    '002-index.sql': '-- Up\nCREATE INDEX Item_ix_name ON Item (name);\n-- Down\nDROP INDEX Item_ix_name;\n',
+  });
+  const filename = tempFile('drift');
+  let db = new Sqlite(filename);
+  let p = Promise.resolve();
+  p = p.then(() => db.migrate({ migrationsPath }));
+  p = p.then(() => db.all('SELECT id, checksum FROM migrations').then((result) => {
+    expect(result).to.have.length(2);
+    result.forEach(row => expect(row.checksum).to.match(/^[0-9a-f]{64}$/));
+  }));
+  p = p.then(() => {
+    fs.writeFileSync(path.join(migrationsPath, '002-index.sql'),
+      '-- Up\nCREATE UNIQUE INDEX Item_ix_name ON Item (name);\n-- Down\nDROP INDEX IF EXISTS Item_ix_name;\n');
+    return db.migrate({ migrationsPath }).then(() => {
+      throw new Error('Migration should have been rejected');
+    }, (err) => {
+      expect(err.message).to.contain('have changed since they were run: 2.');
+    });
+  });
+  p = p.then(() => db.migrate({ migrationsPath, repair: true }));
+  p = p.then(() => db.get('SELECT up, down FROM migrations WHERE id = 2').then((result) => {
+    // Recorded down text is kept to undo the migration as it was applied
+    expect(result.up).to.contain('CREATE UNIQUE INDEX');
+    expect(result.down).to.be.equal('DROP INDEX Item_ix_name;');
+  }));
+  p = p.then(() => db.migrate({ migrationsPath }));
+  // The latest migration can be edited and re-applied with force: 'last',
+  // undoing it with the recorded down text rather than that of the file
+  const indexes = () => db.all(
+    "SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'Item'"
+  ).then(result => result.map(x => x.name));
+  p = p.then(() => {
+    fs.writeFileSync(path.join(migrationsPath, '002-index.sql'),
+      '-- Up\nCREATE INDEX Item_ix_both ON Item (name, id);\n-- Down\nDROP INDEX Item_ix_both;\n');
+    return db.migrationStatus({ migrationsPath, force: 'last' });
+  });
+  p = p.then((status) => {
+    expect(status.drifted).to.be.deep.equal([]);
+    return db.migrate({ migrationsPath, force: 'last' });
+  });
+  p = p.then((report) => {
+    expect(report.steps.map(x => [x.direction, x.id])).to.be.deep.equal([['down', 2], ['up', 2]]);
+    expect(report.repaired).to.be.deep.equal([]);
+  });
+  p = p.then(() => indexes().then(result => expect(result).to.be.deep.equal(['Item_ix_both'])));
+  p = p.then(() => {
+    fs.writeFileSync(path.join(migrationsPath, '002-index.sql'),
+      '-- Up\nCREATE INDEX Item_ix_id ON Item (id);\n-- Down\nDROP INDEX Item_ix_id;\n');
+    return db.migrate({ migrationsPath, force: 'last', repair: true });
+  });
+  p = p.then(() => indexes().then(result => expect(result).to.be.deep.equal(['Item_ix_id'])));
+  p = p.then(() => db.migrate({ migrationsPath }));
+  p = p.then(() => db.close());
+  // Tracking tables from before checksums are upgraded in place
+  p = p.then(() => {
+    removeFile(filename);
+    db = new Sqlite(filename);
+    return db.exec(`CREATE TABLE migrations (
+      id INTEGER PRIMARY KEY, name TEXT NOT NULL, up TEXT NOT NULL, down TEXT NOT NULL
+    );
+    CREATE TABLE Item (id INTEGER PRIMARY KEY, name TEXT);
+    INSERT INTO migrations (id, name, up, down) VALUES
+      (1, 'initial', 'CREATE TABLE Item (id INTEGER PRIMARY KEY, name TEXT);', 'DROP TABLE Item;');`);
+  });
+  p = p.then(() => db.migrate({ migrationsPath }));
+  p = p.then(() => db.all('SELECT id, checksum FROM migrations').then((result) => {
+    expect(result.map(x => x.id)).to.be.deep.equal([1, 2]);
+    result.forEach(row => expect(row.checksum).to.match(/^[0-9a-f]{64}$/));
+  }));
+  p = p.then(() => db.close());
+  p = p.then(() => {
+    removeFile(filename);
+    removeDir(migrationsPath);
+  });
+  p.then(done, done);
+});
+
+it('Should report migration status, plans and timings', (done) => {
+  const migrationsPath = tempDir('status-migrations', {
+    '001-initial.sql': '-- Up\nCREATE TABLE Item (id INTEGER PRIMARY KEY);\n-- Down\nDROP TABLE Item;\n',
+    '002-name.sql': '-- Up\nALTER TABLE Item ADD COLUMN name TEXT;\n-- Down\n',
+    '003-index.sql': '-- Up\nCREATE INDEX Item_ix_name ON Item (name);\n-- Down\nDROP INDEX Item_ix_name;\n',
+  });
+  const db = new Sqlite(':memory:');
+  let p = Promise.resolve();
+  p = p.then(() => db.migrationStatus({ migrationsPath }).then((status) => {
+    expect(status.applied).to.be.deep.equal([]);
+    expect(status.pending.map(x => x.id)).to.be.deep.equal([1, 2, 3]);
+  }));
+  p = p.then(() => db.migrate({ migrationsPath, force: 2 }).then((report) => {
+    expect(report.dryRun).to.be.equal(false);
+    expect(report.steps.map(x => [x.direction, x.id])).to.be.deep.equal([['up', 1], ['up', 2]]);
+    report.steps.forEach(step => expect(step.duration).to.be.a('number'));
+    expect(report.duration).to.be.a('number');
+  }));
+  p = p.then(() => db.migrationStatus({ migrationsPath, force: 1 }).then((status) => {
+    expect(status).to.be.deep.equal({
+      applied: [{ id: 1, name: 'initial' }, { id: 2, name: 'name' }],
+      pending: [{ id: 3, name: 'index' }],
+      missing: [],
+      rollback: [{ id: 2, name: 'name' }],
+      drifted: [],
+    });
+  }));
+  p = p.then(() => db.migrate({ migrationsPath, force: 'last', dryRun: true }).then((report) => {
+    expect(report.steps).to.be.deep.equal([
+      { direction: 'up', id: 3, name: 'index', duration: null },
+    ]);
+    expect(report.duration).to.be.equal(null);
+  }));
+  p = p.then(() => db.all('SELECT id FROM migrations').then((result) => {
+    expect(result).to.be.deep.equal([{ id: 1 }, { id: 2 }]);
+  }));
+  p = p.then(() => {
+    fs.unlinkSync(path.join(migrationsPath, '002-name.sql'));
+    fs.unlinkSync(path.join(migrationsPath, '003-index.sql'));
+    return db.migrationStatus({ migrationsPath });
+  });
+  p = p.then((status) => {
+    expect(status.missing).to.be.deep.equal([{ id: 2, name: 'name' }]);
+    expect(status.rollback).to.be.deep.equal([{ id: 2, name: 'name' }]);
+  });
+  p = p.then(() => db.migrate({ migrationsPath }).then((report) => {
+    expect(report.steps.map(x => [x.direction, x.id])).to.be.deep.equal([['down', 2]]);
+  }));
+  p = p.then(() => db.close());
+  p = p.then(() => removeDir(migrationsPath));
+  p.then(done, done);
+});
+
+it('Should run migrations from the command line', function cliTest () {
+  // Each command is run in a new process
+  this.timeout(20000);
+  const migrationsPath = tempDir('cli-migrations');
+  const filename = tempFile('cli');
+  const cli = (...args) => childProcess.spawnSync(process.execPath, [
+    path.join(__dirname, '../build/cli.js'), '--db', filename, '--migrations', migrationsPath, ...args,
+  ], { encoding: 'utf-8' });
+
+  let result = cli('create', 'Initial Schema');
+  expect(result.status).to.be.equal(0);
+  const created = path.join(migrationsPath, '001-initial-schema.sql');
+  expect(result.stdout).to.contain(created);
+  fs.writeFileSync(created, `${fs.readFileSync(created, 'utf-8')}DROP TABLE Item;\n`
+    .replace(/-- Up\n-+\n/, '$&CREATE TABLE Item (id INTEGER PRIMARY KEY);'));
+  expect(cli('create', 'backfill', '--js').status).to.be.equal(0);
+  expect(fs.existsSync(path.join(migrationsPath, '002-backfill.js'))).to.be.equal(true);
+
+  // Read-only commands don't create a missing database
+  result = cli('status');
+  expect(result.status).to.be.equal(1);
+  expect(result.stderr).to.contain('SQLITE_CANTOPEN');
+  expect(fs.existsSync(filename)).to.be.equal(false);
+  // Nor switch a database using a rollback journal to WAL mode
+  const journalFile = tempFile('cli-journal');
+  childProcess.execFileSync(process.execPath, ['-e', `
+    const sqlite3 = require(${JSON.stringify(require.resolve('sqlite3'))});
+    new sqlite3.Database(${JSON.stringify(journalFile)}).exec('CREATE TABLE Item (id INTEGER PRIMARY KEY)');
+  `]);
+  result = cli('status', '--db', journalFile);
+  expect(result.status).to.be.equal(0);
+  expect(result.stdout).to.be.equal('pending  1 initial-schema\npending  2 backfill\n');
+  expect(fs.existsSync(`${journalFile}-wal`)).to.be.equal(false);
+  removeFile(journalFile);
+
+  result = cli('migrate');
+  expect(result.status).to.be.equal(0);
+  expect(result.stdout).to.match(/^up {4}1 initial-schema .*\nup {4}2 backfill /);
+  result = cli('status');
+  expect(result.stdout).to.be.equal('applied  1 initial-schema\napplied  2 backfill\n');
+  expect(cli('verify').status).to.be.equal(0);
+
+  result = cli('rollback', '2', '--dry-run');
+  expect(result.stdout).to.contain('down  2 backfill\ndown  1 initial-schema\n');
+  result = cli('rollback');
+  expect(result.status).to.be.equal(0);
+  expect(cli('status').stdout).to.contain('pending  2 backfill');
+
+  fs.writeFileSync(created, fs.readFileSync(created, 'utf-8').replace('Item', 'Thing'));
+  result = cli('verify');
+  expect(result.status).to.be.equal(1);
+  expect(result.stdout).to.be.equal('changed  1 initial-schema\n');
+  expect(cli('migrate').status).to.be.equal(1);
+  expect(cli('migrate', '--to', 'last').status).to.be.equal(2);
+  expect(cli('unknown').status).to.be.equal(2);
+
+  removeFile(filename);
+  removeDir(migrationsPath);
+});
+
+it('Should apply migrations once when run concurrently', (done) => {
+  const migrationsPath = tempDir('lock-migrations', {
+    '001-initial.sql': '-- Up\nCREATE TABLE Log (id INTEGER PRIMARY KEY, name TEXT);\n-- Down\nDROP TABLE Log;\n',
+    '002-slow.js': `
+exports.up = trx => new Promise(resolve => setTimeout(resolve, 300))
+  .then(() => trx.run("INSERT INTO Log (name) VALUES ('slow')"));
+exports.down = trx => trx.run("DELETE FROM Log WHERE name = 'slow'");
+`,
+  });
+  const filename = tempFile('lock');
+  const first = new Sqlite(filename);
+  const second = new Sqlite(filename);
+  let p = Promise.resolve();
+  p = p.then(() => Promise.all([
+    first.migrate({ migrationsPath }),
+    second.migrate({ migrationsPath }),
+  ]));
+  p = p.then((reports) => {
+    expect(reports.map(x => x.steps.length).sort()).to.be.deep.equal([0, 2]);
+  });
+  p = p.then(() => first.all('SELECT name FROM Log').then((result) => {
+    expect(result).to.be.deep.equal([{ name: 'slow' }]);
+  }));
+  // Steps before a failed one are kept
+  p = p.then(() => {
+    fs.writeFileSync(path.join(migrationsPath, '003-name.sql'),
+      '-- Up\nCREATE INDEX Log_ix_name ON Log (name);\n-- Down\nDROP INDEX Log_ix_name;\n');
+    fs.writeFileSync(path.join(migrationsPath, '004-broken.sql'),
+      '-- Up\nINSERT INTO Missing VALUES (1);\n-- Down\n');
+    return second.migrate({ migrationsPath }).then(() => {
+      throw new Error('Migration should have been rejected');
+    }, (err) => {
+      expect(err).to.be.instanceof(Sqlite.SqliteError);
+      expect(err.message).to.contain('no such table: Missing');
+    });
+  });
+  p = p.then(() => first.all('SELECT id FROM migrations').then((result) => {
+    expect(result).to.be.deep.equal([{ id: 1 }, { id: 2 }, { id: 3 }]);
+  }));
+  p = p.then(() => Promise.all([first.close(), second.close()]));
+  p = p.then(() => {
+    removeFile(filename);
+    removeDir(migrationsPath);
+  });
+  p.then(done, done);
+});
+
+it('Should run migration statements one at a time', (done) => {
+  const migrationsPath = tempDir('statement-migrations', {
+    '001-notes.sql': `-- Up
+CREATE TABLE Note (id INTEGER PRIMARY KEY, body TEXT, updated INTEGER DEFAULT 0);
+/* Block comment with ; and
+-- down inside it */
+INSERT INTO Note (body) VALUES ('a;b
+-- not a comment');
+CREATE TRIGGER Note_touch AFTER UPDATE OF body ON Note BEGIN
+  UPDATE Note SET updated = CASE WHEN NEW.body IS NULL THEN 0 ELSE 1 END WHERE id = NEW.id;
+  SELECT 1;
+END;
+-- Down
+DROP TRIGGER Note_touch;
+DROP TABLE Note;
+`,
+    '002-broken.sql': `-- Up
+INSERT INTO Note (body) VALUES ('kept');
+
+UPDATE Note
+  SET missing = 1;
+-- Down
+`,
+  });
+  const db = new Sqlite(':memory:');
+  let p = Promise.resolve();
+  p = p.then(() => db.migrate({ migrationsPath }).then(() => {
+    throw new Error('Migration should have been rejected');
+  }, (err) => {
+    expect(err).to.be.instanceof(Sqlite.SqliteError);
+    expect(err.message).to.be.equal('002-broken.sql, line 4: SQLITE_ERROR: no such column: missing');
+    expect(err.line).to.be.equal(4);
+    expect(err.sql).to.be.equal('UPDATE Note\n  SET missing = 1;');
+  }));
+  p = p.then(() => db.all('SELECT body FROM Note').then((result) => {
+    // Failed migration is rolled back as a whole
+    expect(result).to.be.deep.equal([{ body: 'a;b\n-- not a comment' }]);
+  }));
+  p = p.then(() => db.run("UPDATE Note SET body = 'c'"));
+  p = p.then(() => db.get('SELECT updated FROM Note').then((result) => {
+    expect(result.updated).to.be.equal(1);
+  }));
+  p = p.then(() => db.migrate({ migrationsPath, force: 0 }));
+  p = p.then(() => db.all("SELECT name FROM sqlite_master WHERE name LIKE 'Note%'").then((result) => {
+    expect(result).to.be.deep.equal([]);
+  }));
+  p = p.then(() => db.close());
+  p = p.then(() => removeDir(migrationsPath));
+  p.then(done, done);
+});
+
+it('Should run queries built with the sql tagged template', (done) => {
+  const sql = Sqlite.sql;
+  const db = new Sqlite(':memory:');
+  const table = sql.id('Odd "Name"');
+  const names = ['one', 'two', 'three'];
+
+  const where = sql`WHERE name IN (${sql.join(names.slice(0, 2))})`;
+  const query = sql`SELECT id, name FROM ${table} ${where} AND id > ${0} ORDER BY id`;
+  expect(query.text).to.be.equal(
+    'SELECT id, name FROM "Odd ""Name""" WHERE name IN (?, ?) AND id > ? ORDER BY id'
+  );
+  expect(query.values).to.be.deep.equal(['one', 'two', 0]);
+  expect(sql.id('main', 'Item').text).to.be.equal('"main"."Item"');
+
+  let p = Promise.resolve();
+  p = p.then(() => db.exec(sql`CREATE TABLE ${table} (id INTEGER PRIMARY KEY, name TEXT)`));
+  p = p.then(() => Promise.all(names.map(
+    name => db.run(sql`INSERT INTO ${table} (name) VALUES (${name})`)
+  )));
+  p = p.then(() => db.all(query).then((result) => {
+    expect(result).to.be.deep.equal([{ id: 1, name: 'one' }, { id: 2, name: 'two' }]);
+  }));
+  p = p.then(() => db.get(sql`SELECT name FROM ${table} WHERE id = ${3}`).then((result) => {
+    expect(result).to.be.deep.equal({ name: 'three' });
+  }));
+  p = p.then(() => {
+    const rows = [];
+    return db.each(sql`SELECT id FROM ${table} WHERE id >= ${2}`, row => rows.push(row.id))
+      .then(() => expect(rows).to.be.deep.equal([2, 3]));
+  });
+  p = p.then(() => db.use(conn => conn.prepare(sql`SELECT name FROM ${table} WHERE id = ?`)
+    .then(stmt => stmt.get(sql`${2}`)
+      .then((result) => {
+        expect(result).to.be.deep.equal({ name: 'two' });
+        return stmt.finalize();
+      }))));
+  p = p.then(() => db.get(sql`SELECT ${1} AS one`, 1).then(() => {
+    throw new Error('Query should have been rejected');
+  }, (err) => {
+    expect(err.message).to.contain('Parameters cannot be given separately');
+  }));
+  p = p.then(() => db.close());
+  p.then(done, done);
+});
+
+it('Should insert and upsert rows in batches', (done) => {
+  const db = new Sqlite(':memory:');
+  const rows = Array.from({ length: 1000 }, (x, i) => ({ name: `item ${i}`, count: i }));
+  let p = Promise.resolve();
+  p = p.then(() => db.exec('CREATE TABLE Item (id INTEGER PRIMARY KEY, name TEXT UNIQUE, count INTEGER)'));
+  p = p.then(() => db.insertMany('Item', rows).then((result) => {
+    expect(result.changes).to.be.equal(1000);
+    expect(result.rowids).to.be.deep.equal(rows.map((x, i) => i + 1));
+  }));
+  p = p.then(() => db.transaction(trx => trx.insertMany('Item', [
+    { name: 'a', count: 1 }, { name: 'b', count: 2 }, { name: 'c', count: 3 },
+  ], { chunkSize: 2 })).then((result) => {
+    expect(result).to.be.deep.equal({ rowids: [1001, 1002, 1003], changes: 3 });
+  }));
+  // Rows giving their own rowids are inserted one at a time to return them
+  p = p.then(() => db.insertMany(Sqlite.sql.id('main', 'Item'), [
+    { id: 5000, name: 'x' }, { id: 2000, name: 'y' }, { id: null, name: 'z' }, { id: 3000, name: 'w' },
+  ]).then((result) => {
+    expect(result).to.be.deep.equal({ rowids: [5000, 2000, 5001, 3000], changes: 4 });
+  }));
+  p = p.then(() => db.exec('CREATE TABLE Tag (name TEXT PRIMARY KEY) WITHOUT ROWID'));
+  p = p.then(() => db.insertMany('Tag', [{ name: 'a' }, { name: 'b' }]).then((result) => {
+    expect(result).to.be.deep.equal({ rowids: null, changes: 2 });
+  }));
+  p = p.then(() => db.upsert('Item', [
+    { name: 'a', count: 10 }, { name: 'd', count: 4 },
+  ], { conflictTarget: 'name' }).then((result) => {
+    expect(result).to.be.deep.equal({ changes: 2 });
+  }));
+  p = p.then(() => db.upsert('Item', [{ name: 'b', count: 20 }], {
+    conflictTarget: ['name'], update: [],
+  }));
+  p = p.then(() => db.all("SELECT name, count FROM Item WHERE name IN ('a', 'b', 'd')").then((result) => {
+    expect(result).to.be.deep.equal([
+      { name: 'a', count: 10 }, { name: 'b', count: 2 }, { name: 'd', count: 4 },
+    ]);
+  }));
+  // Failed batches are rolled back as a whole
+  p = p.then(() => db.insertMany('Item', [{ name: 'e', count: 5 }, { name: 'a', count: 0 }]).then(() => {
+    throw new Error('Insert should have been rejected');
+  }, (err) => {
+    expect(err).to.be.instanceof(Sqlite.ConstraintError);
+  }));
+  p = p.then(() => db.get('SELECT COUNT(*) AS count FROM Item').then((result) => {
+    expect(result.count).to.be.equal(1008);
+  }));
+  p = p.then(() => db.insertMany('Item', [{ name: 'f' }, { count: 6 }]).then(() => {
+    throw new Error('Insert should have been rejected');
+  }, (err) => {
+    expect(err.message).to.contain('Row 1 does not have the same columns');
+  }));
+  p = p.then(() => db.close());
+  p.then(done, done);
+});
+
+it('Should back up and restore the database', (done) => {
+  const filename = tempFile('backup-source');
+  const backupFile = tempFile('backup-copy');
+  const vacuumFile = tempFile('backup-vacuum');
+  const db = new Sqlite(filename, { max: 2 });
+  const progress = [];
+  let p = Promise.resolve();
+  p = p.then(() => db.exec('CREATE TABLE Item (id INTEGER PRIMARY KEY, name TEXT)'));
+  p = p.then(() => db.insertMany('Item', Array.from({ length: 500 }, (x, i) => ({
+    name: `item ${i} ${'x'.repeat(100)}`,
+  }))));
+  p = p.then(() => Promise.all([
+    db.backup(backupFile, { pagesPerStep: 5, onProgress: info => progress.push(info) }),
+    // Other connections can be used meanwhile
+    db.get('SELECT COUNT(*) AS count FROM Item'),
+  ]));
+  p = p.then(() => {
+    expect(progress.length).to.be.above(1);
+    expect(progress[progress.length - 1].remaining).to.be.equal(0);
+    expect(progress[0].pageCount).to.be.above(5);
+  });
+  p = p.then(() => db.backup(vacuumFile, { vacuum: true }));
+  p = p.then(() => {
+    const copy = new Sqlite(vacuumFile);
+    return copy.get('SELECT COUNT(*) AS count FROM Item')
+      .then(result => expect(result.count).to.be.equal(500))
+      .then(() => copy.close());
+  });
+  p = p.then(() => db.run('DELETE FROM Item WHERE id > 10'));
+  p = p.then(() => Promise.all([
+    db.restore(backupFile),
+    db.run("UPDATE Item SET name = 'first' WHERE id = 1"),
+  ]));
+  p = p.then(() => db.all('SELECT COUNT(*) AS count, MIN(name) AS name FROM Item').then((result) => {
+    // Queued work finished before the restore began
+    expect(result).to.be.deep.equal([{ count: 500, name: 'item 0 '.concat('x'.repeat(100)) }]);
+  }));
+  p = p.then(() => db.close());
+  p = p.then(() => [filename, backupFile, vacuumFile].forEach(removeFile));
+  p.then(done, done);
+});
+
+it('Should cancel queries on timeout or abort', (done) => {
+  const AbortController = global.AbortController;
+  const filename = tempFile('cancel');
+  const db = new Sqlite(filename, { max: 1, timeout: 5000 });
+  const runaway = 'WITH RECURSIVE c(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM c) SELECT COUNT(*) FROM c';
+  const rejected = promise => promise.then(() => {
+    throw new Error('Query should have been cancelled');
+  }, err => err);
+  let p = Promise.resolve();
+  p = p.then(() => db.exec('CREATE TABLE Item (id INTEGER PRIMARY KEY, name TEXT)'));
+  p = p.then(() => rejected(db.get({ sql: runaway, timeout: 50 })).then((err) => {
+    expect(err).to.be.instanceof(Sqlite.QueryTimeoutError);
+    expect(err.errno).to.be.equal(Sqlite.INTERRUPT);
+  }));
+  p = p.then(() => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    return rejected(db.all({ sql: runaway, signal: controller.signal })).then((err) => {
+      expect(err).to.be.instanceof(Sqlite.AbortError);
+    });
+  });
+  // Rows are delivered without letting the timer fire
+  p = p.then(() => {
+    let rows = 0;
+    const endless = 'WITH RECURSIVE c(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM c) SELECT x FROM c';
+    const counted = db.each({ sql: endless, timeout: 50 }, () => {
+      rows += 1;
+    });
+    return rejected(counted).then((err) => {
+      expect(err).to.be.instanceof(Sqlite.QueryTimeoutError);
+      expect(rows).to.be.above(0);
+    });
+  });
+  // Aborted before starting
+  p = p.then(() => {
+    const controller = new AbortController();
+    controller.abort();
+    return rejected(db.run({ sql: 'INSERT INTO Item (name) VALUES (?)', signal: controller.signal }, 'a'))
+      .then(err => expect(err).to.be.instanceof(Sqlite.AbortError));
+  });
+  // Open transactions are rolled back, whether interrupted mid-statement or not
+  p = p.then(() => rejected(db.transaction(function* trxAsync (trx) {
+    yield trx.run('INSERT INTO Item (name) VALUES (?)', 'b');
+    yield trx.get(runaway);
+  }, { timeout: 50 })).then(err => expect(err).to.be.instanceof(Sqlite.QueryTimeoutError)));
+  p = p.then(() => rejected(db.use(function* useAsync (conn) {
+    yield conn.exec('BEGIN');
+    yield conn.run('INSERT INTO Item (name) VALUES (?)', 'c');
+    yield new Promise(resolve => setTimeout(resolve, 100));
+    yield conn.get(runaway);
+  }, { timeout: 50 })).then(err => expect(err).to.be.instanceof(Sqlite.QueryTimeoutError)));
+  // The connection is returned to the pool once recovered
+  p = p.then(() => db.get('SELECT COUNT(*) AS count FROM Item').then((result) => {
+    expect(result.count).to.be.equal(0);
+    expect(db.stats().pool.size).to.be.equal(1);
+    expect(db.stats().errors.SQLITE_INTERRUPT).to.be.equal(5);
+  }));
+  p = p.then(() => db.close());
+  p = p.then(() => removeFile(filename));
+  p.then(done, done);
+});
+
+it('Should recycle unhealthy, worn out and idle connections', (done) => {
+  const filename = tempFile('recycle');
+  const db = new Sqlite(filename, { max: 1, maxUses: 2, maxLifetime: 200 });
+  const pooled = new Sqlite(filename, { min: 1, max: 3, idleTimeout: 50 });
+  const single = new Sqlite(filename, { max: 1 });
+  let probes = 0;
+  single.on('open', (name, driver) => {
+    const exec = driver.exec;
+    // eslint-disable-next-line no-param-reassign
+    driver.exec = (sql, ...args) => {
+      if (sql === 'ROLLBACK') {
+        probes += 1;
+      }
+      return exec.call(driver, sql, ...args);
+    };
+  });
+  const connectionId = () => db.use(conn => conn.id);
+  const ids = [];
+  let p = Promise.resolve();
+  p = p.then(() => pooled.exec('CREATE TABLE Item (id INTEGER PRIMARY KEY, name TEXT)'));
+  // A transaction left open is rolled back, and its connection replaced
+  p = p.then(() => db.use(conn => (
+    conn.exec("BEGIN; INSERT INTO Item (name) VALUES ('a')").then(() => conn.id)
+  )).then(id => ids.push(id)));
+  p = p.then(() => connectionId().then(id => ids.push(id)));
+  p = p.then(() => db.get('SELECT COUNT(*) AS count FROM Item').then((result) => {
+    expect(result.count).to.be.equal(0);
+    expect(ids[1]).to.be.above(ids[0]);
+  }));
+  // As is one which failed with an error after which it can't be trusted
+  p = p.then(() => db.use(() => {
+    throw new Sqlite.SqliteError('database disk image is malformed', {
+      errno: Sqlite.CORRUPT,
+      code: 'SQLITE_CORRUPT',
+    });
+  }).then(() => {
+    throw new Error('Use should have been rejected');
+  }, err => expect(err.code).to.be.equal('SQLITE_CORRUPT')));
+  // Connections are replaced after maxUses
+  p = p.then(() => connectionId().then(id => ids.push(id)));
+  p = p.then(() => connectionId().then(id => ids.push(id)));
+  p = p.then(() => connectionId().then(id => ids.push(id)));
+  p = p.then(() => {
+    expect(ids[2]).to.be.above(ids[1]);
+    expect(ids[3]).to.be.equal(ids[2]);
+    expect(ids[4]).to.be.above(ids[3]);
+  });
+  // And after maxLifetime
+  p = p.then(() => new Promise(resolve => setTimeout(resolve, 250)));
+  p = p.then(() => connectionId().then(id => expect(id).to.be.above(ids[4])));
+  // Idle connections above the minimum are closed
+  p = p.then(() => Promise.all([1, 2, 3].map(() => pooled.use(() => (
+    new Promise(resolve => setTimeout(resolve, 20))
+  )))));
+  p = p.then(() => expect(pooled.stats().pool.size).to.be.equal(3));
+  p = p.then(() => new Promise(resolve => setTimeout(resolve, 150)));
+  p = p.then(() => expect(pooled.stats().pool.size).to.be.equal(1));
+  // Connections are only probed with a ROLLBACK on release after work
+  // which may have left a transaction open
+  p = p.then(() => single.get('SELECT COUNT(*) AS count FROM Item'));
+  p = p.then(() => single.transaction(trx => trx.run("INSERT INTO Item (name) VALUES ('b')")));
+  p = p.then(() => single.all('SELECT * FROM Item'));
+  p = p.then(() => expect(probes).to.be.equal(0));
+  p = p.then(() => single.run("INSERT INTO Item (name) VALUES ('c')"));
+  p = p.then(() => single.use(conn => conn.get('SELECT 1')));
+  p = p.then(() => single.get('SELECT nothing FROM Item').catch(() => {}));
+  p = p.then(() => Promise.all([db.close(), pooled.close(), single.close()]));
+  p = p.then(() => expect(probes).to.be.equal(3));
+  p = p.then(() => removeFile(filename));
+  p.then(done, done);
+});
+
+it('Should close gracefully, waiting for or interrupting work in progress', (done) => {
+  const filename = tempFile('close');
+  const db = new Sqlite(filename, { max: 2 });
+  const slow = new Sqlite(filename, { max: 2 });
+  const runaway = 'WITH RECURSIVE c(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM c) SELECT COUNT(*) FROM c';
+  const queries = [];
+  db.on('query', info => queries.push(info.sql));
+  let p = Promise.resolve();
+  p = p.then(() => db.exec('CREATE TABLE Item (id INTEGER PRIMARY KEY, name TEXT)'));
+  // Work in progress finishes, but new work is rejected
+  p = p.then(() => {
+    const inProgress = db.use(function* useAsync (conn) {
+      yield new Promise(resolve => setTimeout(resolve, 50));
+      yield conn.run("INSERT INTO Item (name) VALUES ('a')");
+    });
+    const closed = db.close();
+    return Promise.all([
+      inProgress,
+      closed,
+      db.get('SELECT COUNT(*) AS count FROM Item').then(() => {
+        throw new Error('Query should have been rejected');
+      }, err => expect(err).to.be.instanceof(Sqlite.PoolClosedError)),
+    ]);
+  });
+  p = p.then(() => {
+    expect(queries.slice(-2)).to.be.deep.equal(['PRAGMA optimize;', 'PRAGMA wal_checkpoint(TRUNCATE);']);
+  });
+  // Stuck queries time out closing, unless forced
+  p = p.then(() => {
+    const stuck = slow.get(runaway).then(() => {
+      throw new Error('Query should have been interrupted');
+    }, err => expect(err.code).to.be.equal('SQLITE_INTERRUPT'));
+    return new Promise(resolve => setTimeout(resolve, 20))
+      .then(() => slow.close({ timeout: 50 }))
+      .then(() => {
+        throw new Error('Close should have timed out');
+      }, err => expect(err.message).to.contain('Timed out closing the database'))
+      .then(() => Promise.all([stuck, slow.close({ force: true })]));
+  });
+  // Work not waiting on a query is rejected after the grace period, as is
+  // work still waiting for a connection
+  p = p.then(() => {
+    const stalled = new Sqlite(filename, { max: 1 });
+    const rejected = () => {
+      throw new Error('Work should have been rejected');
+    };
+    const closed = err => expect(err).to.be.instanceof(Sqlite.PoolClosedError);
+    const waiting = stalled.use(() => new Promise(() => {})).then(rejected, closed);
+    const queued = stalled.get('SELECT 1').then(rejected, closed);
+    return new Promise(resolve => setTimeout(resolve, 20))
+      .then(() => Promise.all([waiting, queued, stalled.close({ force: true, grace: 50 })]));
+  });
+  // Statements still open on connections taken back are finalized, so
+  // that the connections close cleanly (there's no 'error' listener here)
+  p = p.then(() => {
+    const holding = new Sqlite(filename, { max: 2 });
+    let opened = 0;
+    let closed = 0;
+    holding.on('open', () => {
+      opened += 1;
+    });
+    holding.on('close', () => {
+      closed += 1;
+    });
+    const iterator = holding.iterate('SELECT id FROM Item');
+    const prepared = holding.use(conn => (
+      conn.prepare('SELECT id FROM Item').then(() => new Promise(() => {}))
+    )).then(() => {
+      throw new Error('Use should have been rejected');
+    }, err => expect(err).to.be.instanceof(Sqlite.PoolClosedError));
+    return iterator.next()
+      .then(() => Promise.all([prepared, holding.close({ force: true, grace: 50 })]))
+      // The 'close' event follows just after each connection closes
+      .then(() => new Promise(resolve => setTimeout(resolve, 10)))
+      .then(() => {
+        expect(opened).to.be.at.least(2);
+        expect(closed).to.be.equal(opened);
+      });
+  });
+  p = p.then(() => {
+    const check = new Sqlite(filename);
+    return check.get('SELECT COUNT(*) AS count FROM Item')
+      .then(result => expect(result.count).to.be.equal(1))
+      .then(() => check.close());
+  });
+  p = p.then(() => removeFile(filename));
+  p.then(done, done);
+});
+
+it('Should run and schedule maintenance tasks', (done) => {
+  const filename = tempFile('maintenance');
+  const db = new Sqlite(filename);
+  const events = [];
+  const record = name => info => events.push(Object.assign({ name }, info));
+  const scheduled = new Sqlite(filename, {
+    maintenance: {
+      optimizeInterval: 30,
+      vacuumInterval: 30,
+      checkpointWalSize: 1,
+      pollInterval: 10,
+    },
+  });
+  ['checkpoint', 'optimize', 'incrementalVacuum'].forEach(name => scheduled.on(name, record(name)));
+  let p = Promise.resolve();
+  // Incremental vacuum must be enabled before any tables are created
+  p = p.then(() => db.exec('PRAGMA auto_vacuum = INCREMENTAL; VACUUM;'));
+  p = p.then(() => db.exec('CREATE TABLE Item (id INTEGER PRIMARY KEY, name TEXT)'));
+  p = p.then(() => db.insertMany('Item', Array.from({ length: 200 }, (x, i) => ({
+    name: `item ${i} ${'x'.repeat(200)}`,
+  }))));
+  p = p.then(() => db.checkpoint().then((result) => {
+    expect(result.mode).to.be.equal('PASSIVE');
+    expect(result.busy).to.be.equal(false);
+    expect(result.log).to.be.above(0);
+    expect(result.checkpointed).to.be.equal(result.log);
+  }));
+  p = p.then(() => db.checkpoint('sideways').then(() => {
+    throw new Error('Checkpoint should have been rejected');
+  }, err => expect(err.message).to.contain('Invalid checkpoint mode')));
+  p = p.then(() => db.run('DELETE FROM Item'));
+  p = p.then(() => db.incrementalVacuum().then(result => expect(result.pages).to.be.above(0)));
+  p = p.then(() => db.optimize().then(result => expect(result.duration).to.be.a('number')));
+  // Scheduled tasks emit events with their results, and WAL growth triggers a checkpoint
+  p = p.then(() => scheduled.run("INSERT INTO Item (name) VALUES ('a')"));
+  p = p.then(() => new Promise(resolve => setTimeout(resolve, 200)));
+  p = p.then(() => {
+    const names = events.map(x => x.name);
+    expect(names).to.include.members(['checkpoint', 'optimize', 'incrementalVacuum']);
+    expect(events.filter(x => x.error !== null)).to.be.deep.equal([]);
+    // Which truncates the WAL, leaving no frames in it
+    expect(events.find(x => x.name === 'checkpoint')).to.include({ mode: 'TRUNCATE', log: 0 });
+  });
+  // So the threshold triggers again as it grows
+  p = p.then(() => scheduled.run("INSERT INTO Item (name) VALUES ('b')"));
+  p = p.then(() => new Promise(resolve => setTimeout(resolve, 200)));
+  p = p.then(() => {
+    const checkpoints = events.filter(x => x.name === 'checkpoint');
+    expect(checkpoints.length).to.be.at.least(2);
+    checkpoints.forEach(x => expect(x).to.include({ mode: 'TRUNCATE', busy: false }));
+  });
+  p = p.then(() => Promise.all([db.close(), scheduled.close()]));
+  p = p.then(() => removeFile(filename));
+  p.then(done, done);
+});
+
+it('Should attach databases to every connection', (done) => {
+  const filename = tempFile('attach-main');
+  const otherFile = tempFile('attach-other');
+  const extraFile = tempFile('attach-extra');
+  const db = new Sqlite(filename, { max: 3, attach: { other: otherFile } });
+  const databases = conn => conn.all('PRAGMA database_list').then(rows => rows.map(x => x.name));
+  let p = Promise.resolve();
+  p = p.then(() => db.exec('CREATE TABLE other.Thing (id INTEGER PRIMARY KEY)'));
+  p = p.then(() => onEach(db, 3, databases).then((results) => {
+    expect(results).to.be.deep.equal([1, 2, 3].map(() => ['main', 'other']));
+  }));
+  p = p.then(() => db.attach('extra', extraFile, { walMode: false }));
+  p = p.then(() => onEach(db, 3, conn => Promise.all([
+    databases(conn),
+    conn.get('PRAGMA other.journal_mode'),
+    conn.get('PRAGMA extra.journal_mode'),
+  ])).then((results) => {
+    results.forEach(([names, other, extra]) => {
+      expect(names).to.be.deep.equal(['main', 'other', 'extra']);
+      expect(other.journal_mode).to.be.equal('wal');
+      expect(extra.journal_mode).to.be.equal('delete');
+    });
+  }));
+  p = p.then(() => Promise.all([
+    db.attach('extra', otherFile),
+    db.attach('main', otherFile),
+    db.attach('nokeys', otherFile, { foreignKeys: false }),
+    db.attach('missing', path.join(os.tmpdir(), 'no-such-dir', 'missing.db')),
+    db.detach('nothing'),
+  ].map(x => x.then(() => {
+    throw new Error('Call should have been rejected');
+  }, err => err.message))).then((messages) => {
+    expect(messages[0]).to.contain('already attached');
+    expect(messages[1]).to.contain('Invalid alias');
+    expect(messages[2]).to.contain('different foreignKeys setting');
+    expect(messages[3]).to.contain('unable to open database');
+    expect(messages[4]).to.contain('No database is attached');
+  }));
+  p = p.then(() => db.detach('extra'));
+  p = p.then(() => onEach(db, 3, databases).then((results) => {
+    expect(results).to.be.deep.equal([1, 2, 3].map(() => ['main', 'other']));
+  }));
+  p = p.then(() => db.close());
+  // Read-only connections are attached too
+  p = p.then(() => {
+    const reader = new Sqlite(filename, { singleWriter: true, attach: { other: otherFile } });
+    return reader.get('SELECT COUNT(*) AS count FROM other.Thing')
+      .then(result => expect(result.count).to.be.equal(0))
+      .then(() => reader.close());
+  });
+  p = p.then(() => [filename, otherFile, extraFile].forEach(removeFile));
+  p.then(done, done);
+});
+
+it('Should pool connections to shared in-memory databases', (done) => {
+  const uri = 'file:pooled?mode=memory&cache=shared';
+  const db = new Sqlite(uri, { min: 0, max: 3, maxUses: 1 });
+  let p = Promise.resolve();
+  p = p.then(() => db.exec('CREATE TABLE Item (id INTEGER PRIMARY KEY, name TEXT)'));
+  p = p.then(() => db.run("INSERT INTO Item (name) VALUES ('a')"));
+  // Connections are replaced after each use, but the data remains
+  p = p.then(() => onEach(db, 3, conn => conn.get('SELECT name FROM Item').then(row => [conn.id, row.name])));
+  p = p.then((results) => {
+    expect(results.map(x => x[1])).to.be.deep.equal(['a', 'a', 'a']);
+    expect(new Set(results.map(x => x[0])).size).to.be.equal(3);
+  });
+  // Writing to a table while another connection is reading it fails with
+  // SQLITE_LOCKED, rather than waiting, but transactions may be retried
+  p = p.then(() => {
+    const iterator = db.iterate('SELECT name FROM Item');
+    const retries = [];
+    db.on('retry', (err) => {
+      retries.push(err.code);
+      iterator.return();
+    });
+    return iterator.next()
+      .then(() => db.run("INSERT INTO Item (name) VALUES ('b')").then(() => {
+        throw new Error('Insert should have been rejected');
+      }, (err) => {
+        expect(err).to.be.instanceof(Sqlite.BusyError);
+        expect(err.errno).to.be.equal(Sqlite.LOCKED);
+      }))
+      .then(() => db.transaction(trx => trx.run("INSERT INTO Item (name) VALUES ('c')"), {
+        retry: 3,
+      }))
+      .then(() => db.all('SELECT name FROM Item'))
+      .then((rows) => {
+        expect(rows.map(x => x.name)).to.be.deep.equal(['a', 'c']);
+        expect(retries).to.be.deep.equal(['SQLITE_LOCKED']);
+      });
+  });
+  p = p.then(() => db.close());
+  // Until the pool is closed
+  p = p.then(() => {
+    const reopened = new Sqlite(uri);
+    return reopened.get("SELECT COUNT(*) AS count FROM sqlite_master WHERE name = 'Item'")
+      .then(result => expect(result.count).to.be.equal(0))
+      .then(() => reopened.close());
+  });
+  // Private in-memory databases still have one connection
+  p = p.then(() => {
+    const single = new Sqlite('file::memory:', { max: 3 });
+    expect(single.stats().pool.max).to.be.equal(1);
+    return single.close();
+  });
+  p.then(done, done);
+});
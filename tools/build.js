@@ -21,6 +21,7 @@ const files = [
   { format: 'cjs', ext: '.js' },
   { format: 'es', ext: '.es6.js' },
   { format: 'cjs', ext: '.js', presets: [['es2015', { modules: false }]], output: 'legacy' },
+  { format: 'cjs', ext: '.js', entry: 'src/cli.js', output: 'cli', banner: '#!/usr/bin/env node' },
 ];
 
 let promise = Promise.resolve();
@@ -31,7 +32,7 @@ promise = promise.then(() => del(['build/*']));
 // Compile source code into a distributable format with Babel
 for (const file of files) {
   promise = promise.then(() => rollup.rollup({
-    entry: 'src/Sqlite.js',
+    entry: file.entry || 'src/Sqlite.js',
     external: Object.keys(pkg.dependencies),
     plugins: [
       babel(Object.assign(pkg.babel, {
@@ -46,12 +47,16 @@ for (const file of files) {
   }).then(bundle => bundle.write({
     dest: `build/${file.output || 'main'}${file.ext}`,
     format: file.format,
+    banner: file.banner,
     sourceMap: true,
   })));
 }
 
 // Copy package.json and LICENSE.txt
 promise = promise.then(() => {
+  // Make command-line tool executable
+  fs.chmodSync('build/cli.js', 0o755);
+
   // Remove extraneous package.json properties
   delete pkg.private;
   delete pkg.devDependencies;
@@ -62,6 +67,7 @@ promise = promise.then(() => {
   // Rewrite entry points
   pkg.main = 'main.js';
   pkg['jsnext:main'] = 'main.es6.js';
+  pkg.bin = { 'sqlite-pool': 'cli.js' };
 
   // Write additional files
   fs.writeFileSync('build/package.json', JSON.stringify(pkg, null, '  '), 'utf-8');